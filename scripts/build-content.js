@@ -0,0 +1,50 @@
+// Collects the lesson files in content/sections into src/sections.generated.json,
+// which the app imports. Each file is Markdown with a front-matter block (see
+// content/README.md). Runs before `npm start`, `npm run build` and `npm test`;
+// pass --watch to rebuild whenever a lesson file changes.
+const fs = require("fs");
+const path = require("path");
+const frontMatter = require("front-matter");
+
+const sourceDir = path.join(__dirname, "..", "content", "sections");
+const target = path.join(__dirname, "..", "src", "sections.generated.json");
+
+function readSection(file) {
+  const { attributes, body } = frontMatter(fs.readFileSync(path.join(sourceDir, file), "utf8"));
+  return {
+    file,
+    ...attributes,
+    tags: attributes.tags || [],
+    body: body.trim() + "\n",
+  };
+}
+
+function build() {
+  const sections = fs
+    .readdirSync(sourceDir)
+    .filter((file) => file.endsWith(".md"))
+    .map(readSection)
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.file.localeCompare(b.file));
+
+  const json = JSON.stringify(sections, null, 2) + "\n";
+  if (fs.existsSync(target) && fs.readFileSync(target, "utf8") === json) return;
+  fs.writeFileSync(target, json);
+  console.log(`Built ${sections.length} sections into src/sections.generated.json`);
+}
+
+build();
+
+if (process.argv.includes("--watch")) {
+  let timer = null;
+  fs.watch(sourceDir, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        build();
+      } catch (error) {
+        console.error(error.message);
+      }
+    }, 100);
+  });
+  console.log("Watching content/sections for changes...");
+}
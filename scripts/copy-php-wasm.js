@@ -0,0 +1,58 @@
+// Copies the pinned php-wasm browser runtime from node_modules into
+// public/php-wasm so the app serves it from its own origin (dev server and
+// production build alike). Runs before `npm start` and `npm run build`.
+// Extensions installed as php-wasm-* packages go to public/php-wasm/ext/<name>/
+// (see OPTIONAL_EXTENSIONS in src/phpEnvironment.js).
+const fs = require("fs");
+const path = require("path");
+
+const source = path.dirname(require.resolve("php-wasm/package.json"));
+const target = path.join(__dirname, "..", "public", "php-wasm");
+const { version } = require("php-wasm/package.json");
+
+const runtimeModules = [
+  "PhpWeb.mjs",
+  "PhpBase.mjs",
+  "OutputBuffer.mjs",
+  "_Event.mjs",
+  "fsOps.mjs",
+  "resolveDependencies.mjs",
+  "webTransactions.mjs",
+];
+const phpBuilds = fs.readdirSync(source).filter((name) => /^php\d+\.\d+-web\.mjs$/.test(name));
+
+const { dependencies } = require("../package.json");
+const extensionPackages = Object.keys(dependencies).filter((name) => name.startsWith("php-wasm-"));
+const stamp = [version, ...extensionPackages.map((name) => `${name}@${require(`${name}/package.json`).version}`)].join(
+  "\n"
+);
+
+const versionFile = path.join(target, "VERSION");
+if (fs.existsSync(versionFile) && fs.readFileSync(versionFile, "utf8").trim() === stamp) {
+  process.exit(0);
+}
+
+fs.rmSync(target, { recursive: true, force: true });
+fs.mkdirSync(target, { recursive: true });
+
+const files = new Set(["LICENSE", "NOTICE", ...runtimeModules, ...phpBuilds]);
+phpBuilds.forEach((name) => {
+  const code = fs.readFileSync(path.join(source, name), "utf8");
+  (code.match(/[0-9a-f]{40}\.wasm/g) || []).forEach((wasm) => files.add(wasm));
+});
+
+files.forEach((name) => fs.copyFileSync(path.join(source, name), path.join(target, name)));
+
+extensionPackages.forEach((name) => {
+  const packageDir = path.dirname(require.resolve(`${name}/package.json`));
+  const extensionDir = path.join(target, "ext", name.slice("php-wasm-".length));
+  fs.mkdirSync(extensionDir, { recursive: true });
+  fs.readdirSync(packageDir)
+    .filter((file) => file.endsWith(".so") || file === "LICENSE" || file === "NOTICE")
+    .forEach((file) => fs.copyFileSync(path.join(packageDir, file), path.join(extensionDir, file)));
+});
+
+fs.writeFileSync(versionFile, stamp + "\n");
+console.log(
+  `Copied php-wasm ${version} (${files.size} files) and ${extensionPackages.length} extension(s) to public/php-wasm`
+);
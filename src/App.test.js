@@ -1,8 +1,170 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { encodeShare } from './shareLink';
+import { editorText } from './editorTestUtils';
 
-test('renders learn react link', () => {
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('renders the notes header', () => {
+  render(<App />);
+  const heading = screen.getByText(/PHP: Comprehensive Notes/i);
+  expect(heading).toBeInTheDocument();
+});
+
+test('marks sections read by hand or after a while, and resets the progress', async () => {
+  jest.useFakeTimers();
+  // Sections longer than the screen, so opening one does not mark it read.
+  const rect = jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ top: 10000 });
+  try {
+    render(<App />);
+    const contents = screen.getByRole('complementary');
+    const progressBar = screen.getByRole('progressbar', { name: 'Overall progress' });
+    expect(progressBar).toHaveAttribute('aria-valuenow', '0');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Mark as read' }));
+    expect(screen.getByRole('button', { name: '✓ Read' })).toHaveAttribute('aria-pressed', 'true');
+    expect(within(contents).getAllByLabelText('Completed')).toHaveLength(1);
+    expect(Number(progressBar.getAttribute('aria-valuenow'))).toBeGreaterThan(0);
+    expect(JSON.parse(window.localStorage.getItem('php-notes:progress')).read).toEqual({ Intro: true });
+
+    fireEvent.click(within(contents).getByText('PHP Syntax'));
+    expect(await screen.findByRole('heading', { level: 2, name: 'PHP Syntax' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Mark as read' })).toBeInTheDocument();
+    act(() => {
+      jest.advanceTimersByTime(60000);
+    });
+    expect(screen.getByRole('button', { name: '✓ Read' })).toBeInTheDocument();
+
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    fireEvent.click(within(contents).getByText('Reset'));
+    expect(progressBar).toHaveAttribute('aria-valuenow', '0');
+    expect(within(contents).queryAllByLabelText('Completed')).toHaveLength(0);
+  } finally {
+    rect.mockRestore();
+    jest.useRealTimers();
+  }
+});
+
+test('leaves a section the reader unmarked by hand unread', () => {
+  jest.useFakeTimers();
+  const rect = jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ top: 200 });
+  try {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: '✓ Read' }));
+    expect(screen.getByRole('button', { name: 'Mark as read' })).toHaveAttribute('aria-pressed', 'false');
+
+    act(() => {
+      jest.advanceTimersByTime(61000);
+    });
+    fireEvent.scroll(window);
+    expect(screen.getByRole('button', { name: 'Mark as read' })).toBeInTheDocument();
+  } finally {
+    rect.mockRestore();
+    jest.useRealTimers();
+  }
+});
+
+test('marks a section that fits on the screen read as soon as it opens', () => {
+  const rect = jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ top: 200 });
+  try {
+    render(<App />);
+    expect(screen.getByRole('button', { name: '✓ Read' })).toHaveAttribute('aria-pressed', 'true');
+  } finally {
+    rect.mockRestore();
+  }
+});
+
+test('searches prose and code and jumps to a result without hiding the open section', async () => {
+  jest.useFakeTimers();
+  const scrollIntoView = jest.fn();
+  Element.prototype.scrollIntoView = scrollIntoView;
+  try {
+    render(<App />);
+    const input = screen.getByRole('combobox', { name: 'Search the notes' });
+
+    fireEvent.change(input, { target: { value: 'shout(' } });
+    const options = within(screen.getByRole('listbox', { name: 'Search results' })).getAllByRole('option');
+    expect(options[0]).toHaveTextContent('Strings');
+    expect(within(options[0]).getAllByText('shout(', { selector: 'mark' })).not.toHaveLength(0);
+    expect(screen.getByRole('heading', { level: 2, name: 'Introduction to PHP' })).toBeInTheDocument();
+    expect(within(screen.getByRole('complementary')).getAllByRole('listitem')).toHaveLength(1);
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(await screen.findByRole('heading', { level: 2, name: 'Strings' })).toBeInTheDocument();
+    expect(window.location.hash).toBe('#Strings');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    const [block] = scrollIntoView.mock.instances;
+    expect(block).toHaveTextContent(/^Finish shout\(\)/);
+    expect(block).toHaveClass('ring-yellow-400');
+    act(() => {
+      jest.advanceTimersByTime(2000);
+    });
+    expect(block).not.toHaveClass('ring-yellow-400');
+  } finally {
+    jest.useRealTimers();
+    delete Element.prototype.scrollIntoView;
+  }
+});
+
+test('opens sections and anchors from the URL and follows back and forward', async () => {
+  const scrollIntoView = jest.fn();
+  Element.prototype.scrollIntoView = scrollIntoView;
+  try {
+    window.history.replaceState(null, '', '/#Loops/example-2');
+    render(<App />);
+
+    expect(screen.getByRole('heading', { level: 2, name: 'Loops' })).toBeInTheDocument();
+    expect(within(screen.getByRole('complementary')).getByRole('link', { current: 'page' })).toHaveTextContent('Loops');
+    expect(scrollIntoView).toHaveBeenCalledTimes(1);
+    expect(scrollIntoView.mock.instances[0]).toHaveAttribute('id', 'Loops/example-2');
+    expect(screen.getByRole('link', { name: 'Link to example 2' })).toHaveAttribute('href', '#Loops/example-2');
+
+    fireEvent.click(within(screen.getByRole('complementary')).getByText('Arrays'));
+    expect(await screen.findByRole('heading', { level: 2, name: 'Arrays' })).toBeInTheDocument();
+
+    act(() => window.history.back());
+    expect(await screen.findByRole('heading', { level: 2, name: 'Loops' })).toBeInTheDocument();
+  } finally {
+    delete Element.prototype.scrollIntoView;
+  }
+});
+
+test('opens a shared snippet in a standalone runner', () => {
+  const data = encodeShare({ files: [{ name: 'index.php', code: '<?php echo "shared";' }] });
+  window.history.replaceState(null, '', `/#share/${data}`);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(screen.getByRole('heading', { level: 1, name: 'Shared PHP snippet' })).toBeInTheDocument();
+  expect(editorText(screen.getByLabelText('PHP code editor'))).toBe('<?php echo "shared";');
+  expect(screen.getByRole('link', { name: '← Notes' })).toHaveAttribute('href', '#Intro');
+});
+
+test('explains a damaged share link', () => {
+  window.history.replaceState(null, '', '/#share/broken');
+  render(<App />);
+  expect(screen.getByText(/This share link is incomplete or damaged/)).toBeInTheDocument();
+});
+
+test('opens a lesson example in the playground and keeps scratch snippets', async () => {
+  window.history.replaceState(null, '', '/#Loops/example-1');
+  render(<App />);
+
+  fireEvent.click(screen.getAllByText('Open in playground')[0]);
+  expect(await screen.findByRole('heading', { level: 1, name: 'PHP Playground' })).toBeInTheDocument();
+  expect(screen.getByRole('link', { current: 'page' })).toHaveTextContent('Loops — example 1');
+  expect(editorText(screen.getByLabelText('PHP code editor: index.php'))).toMatch(/\$i <= 5/);
+
+  fireEvent.click(screen.getByText('+ New'));
+  expect(await screen.findByRole('link', { name: 'Scratch 1', current: 'page' })).toBeInTheDocument();
+  expect(editorText(screen.getByLabelText('PHP code editor: index.php'))).toMatch(/Hello from the playground!/);
+
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  fireEvent.click(screen.getByText('Delete'));
+  await waitFor(() => expect(screen.queryByText('Scratch 1')).not.toBeInTheDocument());
+  expect(JSON.parse(window.localStorage.getItem('php-notes:snippets')).map((snippet) => snippet.name)).toEqual([
+    'Loops — example 1',
+  ]);
 });
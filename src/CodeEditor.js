@@ -0,0 +1,141 @@
+import React, { useEffect, useImperativeHandle, useRef } from "react";
+import { closeBrackets, closeBracketsKeymap } from "@codemirror/autocomplete";
+import { defaultKeymap, history, historyKeymap, indentWithTab } from "@codemirror/commands";
+import { bracketMatching, indentOnInput, indentUnit } from "@codemirror/language";
+import { highlightSelectionMatches, search, searchKeymap } from "@codemirror/search";
+import { Compartment, EditorState } from "@codemirror/state";
+import {
+  crosshairCursor,
+  drawSelection,
+  dropCursor,
+  EditorView,
+  highlightActiveLine,
+  keymap,
+  lineNumbers,
+  rectangularSelection,
+} from "@codemirror/view";
+import "prismjs/themes/prism.css";
+import { builtinHelp } from "./editorBuiltins";
+import { diagnosticsGutter, setDiagnostics } from "./editorDiagnostics";
+import { phpIndent } from "./editorIndent";
+import { prismHighlight } from "./editorPrism";
+
+export const EDITOR_FONT = 'ui-monospace, SFMono-Regular, Menlo, Monaco, "Roboto Mono", "Courier New", monospace';
+
+const editorTheme = EditorView.theme({
+  "&": {
+    fontSize: "13px",
+    background: "#f8f9fa",
+    color: "#212529",
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+  },
+  "&.cm-focused": { outline: "2px solid #bfdbfe" },
+  ".cm-scroller": { fontFamily: EDITOR_FONT, lineHeight: "1.45", minHeight: "160px" },
+  ".cm-content": { padding: "8px 0" },
+  ".cm-gutters": { background: "#f1f3f5", color: "#495057", border: "none", borderRadius: "6px 0 0 6px" },
+  ".cm-lineNumbers .cm-gutterElement": { minWidth: "4ch", padding: "0 6px" },
+  ".cm-activeLine": { background: "rgba(37, 99, 235, 0.04)" },
+  ".cm-matchingBracket": { background: "#dbeafe", outline: "1px solid #93c5fd" },
+  ".cm-nonmatchingBracket": { background: "#fee2e2" },
+  ".cm-panels": { background: "#f9fafb", fontSize: "12px" },
+});
+
+const labelAttributes = (ariaLabel) =>
+  EditorView.contentAttributes.of({ "aria-label": ariaLabel, spellcheck: "false" });
+
+// The runner's code editor: Prism-coloured PHP with bracket matching, auto
+// indent, multiple cursors (Ctrl/Cmd-click, Alt-drag), find/replace
+// (Ctrl/Cmd-F), and completion and hover docs for PHP built-ins. It is
+// controlled through `value`: switching files or resetting the code gives the
+// editor a fresh state, undo history included, so Ctrl-Z never brings back
+// another file's code; typing calls `onChange`.
+export default function CodeEditor({ value, onChange, ariaLabel, diagnostics = [], ref }) {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const labelRef = useRef(new Compartment());
+  const ariaLabelRef = useRef(ariaLabel);
+  const diagnosticsRef = useRef(diagnostics);
+  const createStateRef = useRef(null);
+  onChangeRef.current = onChange;
+  ariaLabelRef.current = ariaLabel;
+  diagnosticsRef.current = diagnostics;
+
+  useEffect(() => {
+    const createState = (doc) =>
+      EditorState.create({
+        doc,
+        extensions: [
+          diagnosticsGutter,
+          lineNumbers(),
+          history(),
+          drawSelection(),
+          dropCursor(),
+          highlightActiveLine(),
+          EditorState.allowMultipleSelections.of(true),
+          rectangularSelection(),
+          crosshairCursor(),
+          indentUnit.of("  "),
+          phpIndent,
+          indentOnInput(),
+          bracketMatching(),
+          closeBrackets(),
+          search({ top: true }),
+          highlightSelectionMatches(),
+          prismHighlight,
+          builtinHelp,
+          keymap.of([...closeBracketsKeymap, ...defaultKeymap, ...searchKeymap, ...historyKeymap, indentWithTab]),
+          labelRef.current.of(labelAttributes(ariaLabelRef.current)),
+          EditorView.updateListener.of((update) => {
+            if (update.docChanged) onChangeRef.current(update.state.doc.toString());
+          }),
+          editorTheme,
+        ],
+      });
+    const view = new EditorView({ parent: hostRef.current, state: createState(value) });
+    createStateRef.current = createState;
+    viewRef.current = view;
+    return () => {
+      view.destroy();
+      viewRef.current = null;
+    };
+    // The view is created once; later prop changes are applied below.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view || view.state.doc.toString() === value) return;
+    // setState() does not go through the update listener, so onChange stays
+    // quiet.
+    view.setState(createStateRef.current(value));
+    view.dispatch({ effects: setDiagnostics.of(diagnosticsRef.current) });
+  }, [value]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: labelRef.current.reconfigure(labelAttributes(ariaLabel)),
+    });
+  }, [ariaLabel]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({ effects: setDiagnostics.of(diagnostics) });
+  }, [diagnostics]);
+
+  useImperativeHandle(ref, () => ({
+    // Selects the whole line and scrolls it into view.
+    selectLine(line) {
+      const view = viewRef.current;
+      if (!view || !line) return;
+      const { from, to } = view.state.doc.line(Math.min(line, view.state.doc.lines));
+      view.dispatch({
+        selection: { anchor: from, head: to },
+        effects: EditorView.scrollIntoView(from, { y: "center" }),
+      });
+      view.focus();
+    },
+  }), []);
+
+  return <div ref={hostRef} />;
+}
@@ -0,0 +1,89 @@
+import { createRef } from 'react';
+import { act, render, screen } from '@testing-library/react';
+import { insertNewlineAndIndent, undo } from '@codemirror/commands';
+import { openSearchPanel } from '@codemirror/search';
+import { EditorView } from '@codemirror/view';
+import CodeEditor from './CodeEditor';
+import { editorText, typeInEditor } from './editorTestUtils';
+
+function renderEditor(props = {}) {
+  const onChange = jest.fn();
+  const ref = createRef();
+  const utils = render(<CodeEditor ref={ref} value={'<?php\n'} onChange={onChange} ariaLabel="Code" {...props} />);
+  const content = screen.getByLabelText(props.ariaLabel || 'Code');
+  return { ...utils, onChange, ref, content, view: EditorView.findFromDOM(content) };
+}
+
+test('colours PHP with the same Prism token classes as the lessons', () => {
+  const { content } = renderEditor({ value: '<?php\necho "hi";' });
+
+  expect(screen.getByText('echo', { selector: '.token.keyword' })).toBeInTheDocument();
+  expect(content).toHaveTextContent('echo "hi";');
+  expect(screen.getByText('"hi"', { selector: '.token.string' })).toBeInTheDocument();
+});
+
+test('reports typing but not value changes from its props', () => {
+  const { content, onChange, rerender } = renderEditor();
+
+  typeInEditor(content, '<?php echo 1;');
+  expect(onChange).toHaveBeenLastCalledWith('<?php echo 1;');
+
+  onChange.mockClear();
+  rerender(<CodeEditor value={'<?php echo 2;'} onChange={onChange} ariaLabel="Other file" />);
+  expect(editorText(screen.getByLabelText('Other file'))).toBe('<?php echo 2;');
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test('does not undo into the previous file after switching files', () => {
+  const { content, onChange, rerender } = renderEditor({ value: '<?php // index' });
+  typeInEditor(content, '<?php // index, edited');
+
+  onChange.mockClear();
+  rerender(<CodeEditor value={'<?php // helpers'} onChange={onChange} ariaLabel="Code" />);
+  const view = EditorView.findFromDOM(screen.getByLabelText('Code'));
+  act(() => {
+    undo(view);
+  });
+  expect(view.state.doc.toString()).toBe('<?php // helpers');
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test('indents after an opening bracket and dedents a closing one', () => {
+  const { view } = renderEditor({ value: 'if ($a) {' });
+
+  act(() => {
+    view.dispatch({ selection: { anchor: view.state.doc.length } });
+    insertNewlineAndIndent(view);
+  });
+  expect(view.state.doc.toString()).toBe('if ($a) {\n  ');
+
+  act(() => {
+    view.dispatch(view.state.replaceSelection('echo 1;\n  '));
+    view.dispatch(view.state.update(view.state.replaceSelection('}'), { userEvent: 'input.type' }));
+  });
+  expect(view.state.doc.toString()).toBe('if ($a) {\n  echo 1;\n}');
+});
+
+test('marks diagnostics in the gutter and selects lines on request', () => {
+  const { ref, view } = renderEditor({
+    value: '<?php\necho $missing;\n',
+    diagnostics: [{ severity: 'warning', message: 'Undefined variable $missing', line: 2 }],
+  });
+
+  const marker = screen.getByLabelText('Line 2: Warning: Undefined variable $missing');
+  expect(marker).toHaveAttribute('data-severity', 'warning');
+
+  act(() => ref.current.selectLine(2));
+  const { from, to } = view.state.selection.main;
+  expect(view.state.sliceDoc(from, to)).toBe('echo $missing;');
+});
+
+test('opens a find and replace panel', () => {
+  const { view } = renderEditor();
+
+  act(() => {
+    openSearchPanel(view);
+  });
+  expect(screen.getByPlaceholderText('Find')).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Replace')).toBeInTheDocument();
+});
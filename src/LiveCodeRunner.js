@@ -1,490 +1,882 @@
 import React, { useState, useRef, useEffect, useCallback } from "react";
+import CodeEditor from "./CodeEditor";
+import { checkExercise } from "./exercise";
+import { formatAddress, MAX_REDIRECTS, NAVIGATE_MESSAGE, redirectTarget, resolveNavigation } from "./phpBrowser";
+import { getPhpEngine } from "./phpEngine";
+import { normalizeDatabase, withDatabaseExtension } from "./phpDatabase";
+import { normalizeIni, unavailableExtensions } from "./phpEnvironment";
+import { isFatal, SEVERITY_LABELS } from "./phpDiagnostics";
+import RunnerBrowserBar from "./RunnerBrowserBar";
+import RunnerEnvironment from "./RunnerEnvironment";
+import RunnerExercise from "./RunnerExercise";
+import RunnerFileTabs from "./RunnerFileTabs";
+import RunnerFileTree from "./RunnerFileTree";
+import RunnerHistory from "./RunnerHistory";
+import RunnerOutput from "./RunnerOutput";
+import RunnerRequestPanel from "./RunnerRequestPanel";
+import RunnerResponse from "./RunnerResponse";
+import RunnerSplitPane from "./RunnerSplitPane";
+import RunnerVersionCompare from "./RunnerVersionCompare";
+import { shouldRenderHtml } from "./outputMode";
+import { changedFiles, cleanFileName, normalizeFiles, resolveEntry, uniqueFileName } from "./phpFiles";
+import { normalizeRequest } from "./phpRequest";
+import { applySetCookies, normalizeResponse, withCookieJar } from "./phpResponse";
+import { closestPhpVersion, PHP_VERSIONS } from "./phpVersions";
+import { shareUrl } from "./shareLink";
+import { smallButtonStyle } from "./runnerStyles";
+import {
+  addSnapshot,
+  createSnapshot,
+  isModified,
+  loadHistory,
+  loadSavedFiles,
+  saveFiles,
+  saveHistory,
+} from "./runnerStorage";
+
+const NO_VISITS = { pages: [], index: -1 };
+
+const toolbarButtonStyle = {
+  padding: "8px 12px",
+  borderRadius: 6,
+  border: "1px solid #e5e7eb",
+  background: "white",
+  cursor: "pointer",
+};
+
+// "Fatal error: … in lib.php on line 3" for the status line.
+function describeFatal(fatal, showFileNames) {
+  return (
+    `${SEVERITY_LABELS[fatal.severity]}: ${fatal.message}` +
+    (showFileNames && fatal.file ? ` in ${fatal.file}` : "") +
+    (fatal.line ? ` on line ${fatal.line}` : "")
+  );
+}
 
 export default function LiveCodeRunner({
   code = "<?php\n// Example\n$greeting = \"Hello, world!\";\necho \"<h1>$greeting</h1>\";\n?>",
   timeoutMs = 30000,
+  outputMode = "auto",
+  request,
+  files,
+  entry,
+  storageKey,
+  exercise,
+  onCheck,
+  layout = "stacked",
+  onOpenInPlayground,
+  phpVersion,
+  ini,
+  extensions,
+  database,
+  stateful = false,
+  browser = false,
 }) {
-  const [src, setSrc] = useState(code);
+  const original = React.useMemo(() => normalizeFiles(files, code), [files, code]);
+  const [fileList, setFileList] = useState(() => loadSavedFiles(storageKey, original) || original);
+  const [activeFile, setActiveFile] = useState(() => resolveEntry(original, entry));
+  const [requestState, setRequestState] = useState(() => normalizeRequest(request));
   const [output, setOutput] = useState("");
   const [isHtmlOutput, setIsHtmlOutput] = useState(false);
   const [status, setStatus] = useState("idle");
   const [lastError, setLastError] = useState(null);
+  const [stderr, setStderr] = useState("");
+  const [diagnostics, setDiagnostics] = useState([]);
+  // Gutter markers come from the last run's diagnostics but are dropped as
+  // soon as the code is edited, since the line numbers may no longer match.
+  const [markers, setMarkers] = useState([]);
+  // Files the last run created or changed on the virtual filesystem.
+  const [writtenFiles, setWrittenFiles] = useState([]);
+  // The database's tables after the last run, if it had one.
+  const [tables, setTables] = useState(null);
+  const [history, setHistory] = useState(() => loadHistory(storageKey));
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Exercise runners (`exercise={{ expected, tests }}`) check every run's
+  // output and hidden tests; the code is the starter template.
+  const [check, setCheck] = useState(null);
+  const [engineStatus, setEngineStatus] = useState("idle");
+  const [shareNote, setShareNote] = useState(null);
+  // Versions php-wasm doesn't ship (7.4, say) run on the closest one.
+  const initialVersion = closestPhpVersion(phpVersion);
+  const [version, setVersion] = useState(initialVersion);
+  // `ini` settings apply before each run; `extensions` pick the worker, since
+  // php-wasm only loads extensions when it starts. A `database` (schema and
+  // fixtures SQL, see phpDatabase.js) needs sqlite.
+  const seed = React.useMemo(() => normalizeDatabase(database), [database]);
+  const initialEnvironment = React.useMemo(
+    () => ({
+      ini: normalizeIni(ini),
+      extensions: withDatabaseExtension(extensions, seed),
+    }),
+    [ini, extensions, seed]
+  );
+  const [environment, setEnvironment] = useState(initialEnvironment);
+  // Stateful runners behave like one visitor's browser: the cookies each run
+  // sets are sent with the next, so sessions carry over (see phpResponse.js).
+  const [statefulMode, setStatefulMode] = useState(Boolean(stateful) || Boolean(browser));
+  const [cookieJar, setCookieJar] = useState({});
+  // The last stateful run's `{ status, headers }`.
+  const [response, setResponse] = useState(null);
+  // In the mini-browser, links and forms in the HTML output run the script
+  // again with their request (see phpBrowser.js). It keeps cookies like any
+  // browser, so it starts in stateful mode. `page` is the file on show, null
+  // for the entry file; `visits` is the history behind back and forward.
+  const [browserMode, setBrowserMode] = useState(Boolean(browser));
+  const [page, setPage] = useState(null);
+  const [visits, setVisits] = useState(NO_VISITS);
+  const unavailable = unavailableExtensions(extensions);
+  // `[{ version, pending } | { version, output, problem }]` while comparing
+  // the output on every version.
+  const [comparison, setComparison] = useState(null);
   const iframeRef = useRef(null);
-  const workerRef = useRef(null);
-  const runIdRef = useRef(0);
-  const textareaRef = useRef(null);
-  const isWorkerReady = useRef(false);
-  const pendingExecutions = useRef(new Map());
-
-  useEffect(() => {
-    if (textareaRef.current) {
-      textareaRef.current.style.height = "auto";
-      textareaRef.current.style.height = `${textareaRef.current.scrollHeight}px`;
-    }
-  }, [src]);
-
-  const handleWorkerMessage = useCallback((msg) => {
-    const runId = msg.id || msg.runId;
-    
-    if (!runId || !pendingExecutions.current.has(runId)) {
-      return;
-    }
-
-    const execution = pendingExecutions.current.get(runId);
-    
-    if (msg.type === 'result' || msg.type === 'output' || msg.output !== undefined) {
-      clearTimeout(execution.timeoutId);
-      pendingExecutions.current.delete(runId);
-
-      let result = '';
-      if (msg.output !== undefined) {
-        result = String(msg.output);
-      } else if (msg.result !== undefined) {
-        result = String(msg.result);
-      } else if (msg.stdout !== undefined) {
-        result = String(msg.stdout);
-        if (msg.stderr) {
-          result += '\n' + String(msg.stderr);
-        }
-      } else {
-        result = JSON.stringify(msg);
-      }
-
-      const looksLikeHtml = /<\/?[a-z][\s\S]*>/i.test(result);
-      setIsHtmlOutput(looksLikeHtml);
-      setOutput(result);
-
-      if (looksLikeHtml && iframeRef.current) {
-        try {
-          const doc = iframeRef.current.contentDocument;
-          if (doc) {
-            doc.open();
-            doc.write(result);
-            doc.close();
-          }
-        } catch (e) {
-          console.warn('Failed to update iframe:', e);
-        }
-      }
-
-      setStatus("idle");
-
-    } else if (msg.type === 'error' || msg.error) {
-      clearTimeout(execution.timeoutId);
-      pendingExecutions.current.delete(runId);
+  const editorRef = useRef(null);
+  const abortRef = useRef(null);
+  const compareRef = useRef(null);
+  const pendingJumpRef = useRef(null);
+
+  const entryFile = resolveEntry(fileList, entry);
+  const showTabs = Boolean(files) || fileList.length > 1;
+  const openFile = fileList.find((file) => file.name === activeFile);
+  const src = openFile ? openFile.code : "";
+  const modified = isModified(original, fileList);
+  const hasFile = useCallback((name) => fileList.some((file) => file.name === name), [fileList]);
+  const pageFile = browserMode && page && hasFile(page) ? page : entryFile;
+  const currentPage = React.useMemo(
+    () => ({ file: pageFile, method: requestState.method, query: requestState.query, body: requestState.body }),
+    [pageFile, requestState]
+  );
 
-      const errorMsg = msg.error || msg.message || 'Unknown error';
-      setStatus("error");
-      setLastError(errorMsg);
-      setOutput("[Error] " + errorMsg);
-    }
-  }, []);
+  const setSrc = useCallback((value) => {
+    setFileList((current) =>
+      current.map((file) => (file.name === activeFile ? { ...file, code: value } : file))
+    );
+  }, [activeFile]);
 
-  const createPHPWorker = useCallback(() => {
-    const workerCode = `
-      let phpInstance = null;
-      
-      const CDN_SOURCES = [
-        'https://cdn.jsdelivr.net/npm/php-wasm@latest/dist/php-wasm.js',
-        'https://unpkg.com/php-wasm@latest/dist/php-wasm.js',
-        'https://cdn.skypack.dev/php-wasm@latest'
-      ];
-      
-      async function loadPHPWithFallback() {
-        for (const cdn of CDN_SOURCES) {
-          try {
-            const module = await import(cdn);
-            const PhpWeb = module.PhpWeb || module.default?.PhpWeb || module.default;
-            
-            if (!PhpWeb) {
-              throw new Error('PhpWeb not found in module');
-            }
-            
-            phpInstance = new PhpWeb();
-            
-            // Try different initialization methods
-            if (phpInstance.init) {
-              await phpInstance.init();
-            } else if (phpInstance.php?.init) {
-              await phpInstance.php.init();
-            } else if (typeof phpInstance.ready === 'function') {
-              await phpInstance.ready();
-            }
-            
-            return phpInstance;
-          } catch (error) {
-            console.warn('Failed to load from', cdn, ':', error.message);
-            continue;
-          }
-        }
-        throw new Error('All PHP-WASM CDN sources failed to load');
-      }
-      
-      async function executePHP(code) {
-        if (!phpInstance) {
-          await loadPHPWithFallback();
-        }
-        
-        // Try different execution methods
-        if (phpInstance.run) {
-          return phpInstance.run(code);
-        } else if (phpInstance.php?.run) {
-          return phpInstance.php.run(code);
-        } else if (phpInstance.exec) {
-          return phpInstance.exec(code);
-        } else if (phpInstance.php?.exec) {
-          return phpInstance.php.exec(code);
-        }
-        
-        throw new Error('No valid PHP execution method found');
-      }
-      
-      self.onmessage = async function(e) {
-        const { type, code, id } = e.data;
-        
-        if (type === 'ping') {
-          try {
-            await loadPHPWithFallback();
-            self.postMessage({ type: 'ready', ready: true });
-          } catch (error) {
-            self.postMessage({ 
-              type: 'error', 
-              error: 'PHP initialization failed: ' + error.message 
-            });
-          }
-          return;
-        }
-        
-        if (type === 'run') {
-          try {
-            const result = await executePHP(code);
-            
-            self.postMessage({
-              type: 'result',
-              output: String(result || ''),
-              id: id
-            });
-          } catch (error) {
-            self.postMessage({
-              type: 'error',
-              error: error.message || 'PHP execution failed',
-              id: id
-            });
-          }
-        }
-      };
-      
-      self.onerror = function(error) {
-        self.postMessage({
-          type: 'error',
-          error: 'Worker error: ' + error.message
-        });
-      };
-    `;
+  // Edits are saved under `storageKey`; going back to the original (for
+  // example with Reset Code) removes the saved copy.
+  useEffect(() => {
+    saveFiles(storageKey, original, fileList);
+  }, [storageKey, original, fileList]);
 
-    const blob = new Blob([workerCode], { type: 'application/javascript' });
-    return new Worker(URL.createObjectURL(blob), { type: 'module' });
-  }, []);
+  useEffect(() => {
+    saveHistory(storageKey, history);
+  }, [storageKey, history]);
 
-  const initializeWorker = useCallback(() => {
-    return new Promise((resolve, reject) => {
-      if (workerRef.current && isWorkerReady.current) {
-        resolve(workerRef.current);
-        return;
-      }
+  useEffect(() => {
+    if (!shareNote) return undefined;
+    const timer = setTimeout(() => setShareNote(null), 2000);
+    return () => clearTimeout(timer);
+  }, [shareNote]);
 
-      if (workerRef.current) {
-        try {
-          workerRef.current.terminate();
-        } catch (e) {}
-        workerRef.current = null;
-        isWorkerReady.current = false;
-      }
+  const applyOutput = useCallback((result) => {
+    const renderHtml = shouldRenderHtml(result, outputMode);
+    setIsHtmlOutput(renderHtml);
+    setOutput(result);
 
+    if (renderHtml && iframeRef.current) {
       try {
-        const worker = createPHPWorker();
-        workerRef.current = worker;
-
-        const initTimeout = setTimeout(() => {
-          reject(new Error('Worker initialization timeout'));
-        }, 10000);
-
-        worker.onmessage = (e) => {
-          const msg = e.data;
-          
-          if (msg.type === 'ready' || msg.ready === true) {
-            clearTimeout(initTimeout);
-            isWorkerReady.current = true;
-            resolve(worker);
-            return;
-          }
-
-          handleWorkerMessage(msg);
-        };
-
-        worker.onerror = (error) => {
-          clearTimeout(initTimeout);
-          console.error('Worker error:', error);
-          isWorkerReady.current = false;
-          reject(error);
-        };
-
-        worker.postMessage({ type: 'ping' });
-
-      } catch (error) {
-        console.error('Worker creation error:', error);
-        reject(error);
+        const doc = iframeRef.current.contentDocument;
+        if (doc) {
+          doc.open();
+          doc.write(result);
+          doc.close();
+        }
+      } catch (e) {
+        console.warn('Failed to update iframe:', e);
       }
-    });
-  }, [handleWorkerMessage, createPHPWorker]);
+    }
+  }, [outputMode]);
 
   useEffect(() => {
-    initializeWorker().catch(console.error);
-
-    return () => {
-      const currentWorker = workerRef.current;
-      const currentExecutions = pendingExecutions.current;
-
-      if (currentWorker) {
-        try {
-          currentWorker.terminate();
-        } catch (e) {}
-        workerRef.current = null;
-        isWorkerReady.current = false;
+    const engine = getPhpEngine(version, environment.extensions);
+    setEngineStatus(engine.getStatus());
+    const unsubscribe = engine.subscribe(setEngineStatus);
+    engine.start().catch((error) => console.error(error));
+    return unsubscribe;
+  }, [version, environment.extensions]);
+
+  useEffect(() => () => {
+    [abortRef, compareRef].forEach((ref) => {
+      if (ref.current) {
+        ref.current.abort();
+        ref.current = null;
       }
+    });
+  }, []);
 
-      if (currentExecutions) {
-        currentExecutions.forEach(({ timeoutId }) => {
-          clearTimeout(timeoutId);
-        });
-        currentExecutions.clear();
-      }
-    };
-  }, [initializeWorker]);
+  // Runs `target` (`{ file, method, query, body }`, the page on show by
+  // default) and resolves with the page it ended on, which differs when the
+  // mini-browser followed a redirect, or null when the run failed.
+  const runCode = useCallback(async (target = currentPage) => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-  const runCode = useCallback(async () => {
     setLastError(null);
     setIsHtmlOutput(false);
     setOutput("");
-    setStatus("loading");
-
-    try {
-      const worker = await initializeWorker();
-      
-      if (!worker || !isWorkerReady.current) {
-        throw new Error('Worker not ready');
-      }
-
-      setStatus("running");
-      
-      const runId = ++runIdRef.current;
-
-      const timeoutId = setTimeout(() => {
-        if (pendingExecutions.current.has(runId)) {
-          pendingExecutions.current.delete(runId);
-          setStatus("timeout");
-          setLastError("Execution timeout after " + timeoutMs + " ms");
-          setOutput("[Error] Execution timeout");
-        }
+    setStderr("");
+    setDiagnostics([]);
+    setMarkers([]);
+    setWrittenFiles([]);
+    setTables(null);
+    setCheck(null);
+    setStatus("running");
+
+    // The timeout only covers the script itself, not time spent waiting for
+    // the engine to load or for other runners' scripts to finish.
+    let timeoutId = null;
+    const startTimeout = () => {
+      timeoutId = setTimeout(() => {
+        controller.abort(new Error("Execution timeout after " + timeoutMs + " ms"));
       }, timeoutMs);
+    };
 
-      pendingExecutions.current.set(runId, { timeoutId });
+    const mounted = fileList;
+    // Every finished run is kept in the history; runs stopped by the user are
+    // not.
+    const snapshot = (runStatus, runOutput) =>
+      setHistory((current) => addSnapshot(current, createSnapshot(mounted, { status: runStatus, output: runOutput })));
 
-      worker.postMessage({
-        type: 'run',
-        code: src,
-        id: runId
-      });
+    try {
+      const engine = getPhpEngine(version, environment.extensions);
+      let current = target;
+      let jar = cookieJar;
+      let result;
+      for (let redirects = 0; ; redirects += 1) {
+        const pageRequest = { ...requestState, method: current.method, query: current.query, body: current.body };
+        result = await engine.run(src, {
+          signal: controller.signal,
+          onStart: startTimeout,
+          request: statefulMode ? { ...pageRequest, cookies: withCookieJar(pageRequest.cookies, jar) } : pageRequest,
+          ini: environment.ini,
+          database: seed,
+          stateful: statefulMode,
+          files: mounted,
+          entry: current.file,
+          tests: exercise ? exercise.tests : undefined,
+        });
+        if (abortRef.current !== controller) return null;
+        if (!result.response) break;
+        const runResponse = normalizeResponse(result.response);
+        jar = applySetCookies(jar, runResponse);
+        setResponse(runResponse);
+        setCookieJar(jar);
+        // Like a browser, the mini-browser shows the page a redirect leads to
+        // rather than the redirect itself.
+        const next = browserMode && redirects < MAX_REDIRECTS ? redirectTarget(current, runResponse) : null;
+        if (!next || !hasFile(next.file || entryFile)) break;
+        clearTimeout(timeoutId);
+        current = { ...next, file: next.file || entryFile };
+      }
+      if (browserMode) {
+        const landed = current;
+        setPage(landed.file);
+        setRequestState((state) => ({ ...state, method: landed.method, query: landed.query, body: landed.body }));
+      }
+      applyOutput(result.stdout);
+      setStderr(result.stderr);
+      setDiagnostics(result.diagnostics);
+      setMarkers(result.diagnostics);
+      setWrittenFiles(changedFiles(mounted, result.files));
+      setTables(result.database || null);
+      if (exercise) {
+        const exerciseCheck = checkExercise(result, exercise.expected);
+        setCheck(exerciseCheck);
+        if (onCheck) onCheck(exerciseCheck);
+      }
 
+      const fatal = result.diagnostics.find(isFatal);
+      snapshot(fatal ? "error" : "success", result.stdout);
+      if (fatal) {
+        setStatus("error");
+        setLastError(describeFatal(fatal, showTabs));
+      } else {
+        setStatus("idle");
+      }
+      return current;
     } catch (error) {
+      if (abortRef.current !== controller) return null;
+      if (controller.signal.aborted) {
+        snapshot("timeout", error.message);
+        setStatus("timeout");
+        setLastError(error.message);
+        setOutput("[Error] Execution timeout");
+        return null;
+      }
       console.error('Execution error:', error);
+      snapshot("error", "[Error] " + error.message);
       setStatus("error");
       setLastError(error.message);
       setOutput("[Error] " + error.message);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
     }
-  }, [src, timeoutMs, initializeWorker]);
+  }, [src, fileList, entryFile, showTabs, requestState, timeoutMs, applyOutput, exercise, onCheck, version, environment, seed, statefulMode, cookieJar, currentPage, browserMode, hasFile]);
 
-  const stopExecution = useCallback(() => {
-    pendingExecutions.current.forEach(({ timeoutId }) => {
-      clearTimeout(timeoutId);
+  // Puts the page a run ended on in place of history entry `index`.
+  const replaceVisit = useCallback((index, landed) => {
+    setVisits(({ pages }) => ({ pages: pages.map((item, at) => (at === index ? landed : item)), index }));
+  }, []);
+
+  // Opens a page in the mini-browser as a new history entry. Pages that are
+  // not one of the runner's files are not found; other sites open in a new
+  // tab.
+  const navigate = useCallback(async (target) => {
+    if (!target) return;
+    if (target.external) {
+      window.open(target.external, "_blank", "noopener");
+      return;
+    }
+    const next = { ...target, file: target.file || entryFile };
+    if (!hasFile(next.file)) {
+      setStatus("error");
+      setLastError(`404 Not Found: ${formatAddress(next)}`);
+      return;
+    }
+    const from = currentPage;
+    const landed = await runCode(next);
+    if (!landed) return;
+    setVisits(({ pages, index }) => {
+      const kept = pages.length ? pages.slice(0, index + 1) : [from];
+      return { pages: [...kept, landed], index: kept.length };
     });
-    pendingExecutions.current.clear();
-    
+  }, [entryFile, hasFile, currentPage, runCode]);
+
+  // Back and forward run the page again, as there is no cache to show it from.
+  const goTo = useCallback(async (index) => {
+    const target = visits.pages[index];
+    if (!target) return;
+    setVisits((current) => ({ ...current, index }));
+    const landed = await runCode(target);
+    if (landed) replaceVisit(index, landed);
+  }, [visits, runCode, replaceVisit]);
+
+  const reload = useCallback(async () => {
+    const index = visits.index;
+    const landed = await runCode();
+    if (landed && browserMode && index >= 0) replaceVisit(index, landed);
+  }, [visits, runCode, browserMode, replaceVisit]);
+
+  useEffect(() => {
+    if (!browserMode) return undefined;
+    const onMessage = (event) => {
+      const frame = iframeRef.current;
+      if (!frame || event.source !== frame.contentWindow) return;
+      if (!event.data || event.data.type !== NAVIGATE_MESSAGE) return;
+      navigate(resolveNavigation(currentPage, event.data));
+    };
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, [browserMode, navigate, currentPage]);
+
+  // Runs the code once on every version, one after the other, each on that
+  // version's own worker. Runs are not kept in the history.
+  const compareVersions = useCallback(async () => {
+    if (compareRef.current) compareRef.current.abort();
+    const controller = new AbortController();
+    compareRef.current = controller;
+    setComparison(PHP_VERSIONS.map((item) => ({ version: item, pending: true })));
+
+    for (const item of PHP_VERSIONS) {
+      // A timeout stops this version only; closing the panel stops them all.
+      const run = new AbortController();
+      const stop = () => run.abort(controller.signal.reason);
+      controller.signal.addEventListener("abort", stop);
+      let timeoutId = null;
+      let entry;
+      try {
+        const result = await getPhpEngine(item, environment.extensions).run(src, {
+          signal: run.signal,
+          onStart: () => {
+            timeoutId = setTimeout(() => run.abort(new Error("Execution timeout after " + timeoutMs + " ms")), timeoutMs);
+          },
+          request: requestState,
+          ini: environment.ini,
+          database: seed,
+          files: fileList,
+          entry: currentPage.file,
+        });
+        const fatal = result.diagnostics.find(isFatal);
+        entry = { version: item, output: result.stdout, problem: fatal ? describeFatal(fatal, showTabs) : null };
+      } catch (error) {
+        entry = { version: item, output: "", problem: "[Error] " + error.message };
+      } finally {
+        clearTimeout(timeoutId);
+        controller.signal.removeEventListener("abort", stop);
+      }
+      if (compareRef.current !== controller) return;
+      setComparison((current) => current && current.map((result) => (result.version === item ? entry : result)));
+    }
+    if (compareRef.current === controller) compareRef.current = null;
+  }, [src, fileList, currentPage, showTabs, requestState, timeoutMs, environment, seed]);
+
+  const closeComparison = useCallback(() => {
+    if (compareRef.current) {
+      compareRef.current.abort(new Error("Comparison stopped"));
+      compareRef.current = null;
+    }
+    setComparison(null);
+  }, []);
+
+  const stopExecution = useCallback(() => {
+    const controller = abortRef.current;
+    if (!controller) return;
+    abortRef.current = null;
+    controller.abort(new Error("Execution stopped"));
+
     setStatus("stopped");
     setOutput("[Execution stopped]");
   }, []);
 
+  // Forgets the cookies, so the next run starts without a session.
+  const resetSession = useCallback(() => {
+    setCookieJar({});
+    setResponse(null);
+  }, []);
+
+  const changeStateful = useCallback((next) => {
+    setStatefulMode(next);
+    resetSession();
+  }, [resetSession]);
+
+  const changeBrowser = useCallback((next) => {
+    setBrowserMode(next);
+    setPage(null);
+    setVisits(NO_VISITS);
+    if (next && !statefulMode) changeStateful(true);
+  }, [statefulMode, changeStateful]);
+
   const resetCode = useCallback(() => {
-    setSrc(code);
+    setFileList(original);
+    setVersion(initialVersion);
+    setEnvironment(initialEnvironment);
+    setStatefulMode(Boolean(stateful) || Boolean(browser));
+    resetSession();
+    setBrowserMode(Boolean(browser));
+    setPage(null);
+    setVisits(NO_VISITS);
+    setActiveFile(resolveEntry(original, entry));
+    setRequestState(normalizeRequest(request));
     setOutput("");
+    setStderr("");
+    setDiagnostics([]);
+    setMarkers([]);
+    setWrittenFiles([]);
+    setTables(null);
+    setCheck(null);
     setStatus("idle");
     setLastError(null);
-  }, [code]);
+  }, [original, entry, request, initialVersion, initialEnvironment, stateful, browser, resetSession]);
 
   const clearOutput = useCallback(() => {
     setOutput("");
+    setStderr("");
+    setDiagnostics([]);
+    setMarkers([]);
+    setWrittenFiles([]);
+    setTables(null);
+    setCheck(null);
     setLastError(null);
   }, []);
 
-  const lineNumbers = React.useMemo(() => {
-    const lineCount = src ? src.split("\n").length : 1;
-    return Array.from({ length: lineCount }, (_, i) => i + 1).join("\n");
-  }, [src]);
+  const restoreSnapshot = useCallback((snapshot) => {
+    setFileList(snapshot.files);
+    setActiveFile(resolveEntry(snapshot.files, entry));
+    setMarkers([]);
+  }, [entry]);
+
+  // Copies a link that opens the current code, request and output mode in a
+  // standalone runner. Without clipboard access the link is shown to copy by
+  // hand.
+  const shareCode = useCallback(async () => {
+    const url = shareUrl({
+      files: fileList,
+      entry: entryFile,
+      request: requestState,
+      outputMode,
+      phpVersion: version,
+      ...environment,
+      database: seed,
+      stateful: statefulMode,
+      browser: browserMode,
+    });
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareNote("Link copied");
+    } catch (e) {
+      window.prompt("Copy this link to share your code", url);
+    }
+  }, [fileList, entryFile, requestState, outputMode, version, environment, seed, statefulMode, browserMode]);
 
-  return (
-    <div style={{ fontFamily: 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial', marginTop: 12 }}>
-      <div style={{ display: 'flex', gap: 8 }}>
-        <div style={{
-          background: "#f1f3f5",
-          color: "#495057",
-          padding: '8px 6px',
-          borderRadius: 6,
-          overflow: 'hidden',
-          width: '5ch',
-          textAlign: 'right',
-          lineHeight: '1.45',
-          whiteSpace: 'pre',
-          fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, "Roboto Mono", "Courier New", monospace',
-          fontSize: 12,
-          userSelect: 'none'
-        }}>
-          {lineNumbers}
-        </div>
-        <textarea
-          ref={textareaRef}
-          value={src}
-          onChange={(e) => setSrc(e.target.value)}
-          spellCheck={false}
-          style={{
-            flex: 1,
-            minHeight: 160,
-            fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, "Roboto Mono", "Courier New", monospace',
-            fontSize: 13,
-            padding: 8,
-            borderRadius: 6,
-            border: '1px solid #e5e7eb',
-            background: "#f8f9fa",
-            color: "#212529",
-            lineHeight: '1.45',
-            resize: "none",
-            overflow: "hidden",
-            fontWeight: 'bold',
-          }}
-        />
-      </div>
+  const addFile = useCallback(() => {
+    const name = cleanFileName(window.prompt("New file name", uniqueFileName(fileList)));
+    if (!name) return;
+    if (!fileList.some((file) => file.name === name)) {
+      setFileList([...fileList, { name, code: name.endsWith(".php") ? "<?php\n" : "" }]);
+    }
+    setActiveFile(name);
+  }, [fileList]);
+
+  const removeFile = useCallback((name) => {
+    if (name === entryFile) return;
+    setFileList((current) => current.filter((file) => file.name !== name));
+    setMarkers((current) => current.filter((diagnostic) => diagnostic.file !== name));
+    if (name === activeFile) setActiveFile(entryFile);
+  }, [activeFile, entryFile]);
+
+  const selectLine = useCallback((line) => {
+    editorRef.current?.selectLine(line);
+  }, []);
 
-      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
-        <button
-          onClick={runCode}
-          disabled={status === "running" || status === "loading"}
-          style={{
-            padding: "8px 12px",
-            borderRadius: 6,
-            border: "none",
-            background: status === "running" || status === "loading" ? "#9ca3af" : "#2563eb",
-            color: "white",
-            cursor: status === "running" || status === "loading" ? "not-allowed" : "pointer",
-          }}
-        >
-          {status === "loading"
-            ? "Loading…"
-            : status === "running"
-            ? "Running…"
-            : "Run PHP"}
-        </button>
+  // Diagnostics from an included file switch to that file's tab first; the
+  // line is selected once the tab has rendered.
+  const jumpToLine = useCallback((line, file) => {
+    if (file && file !== activeFile && fileList.some((item) => item.name === file)) {
+      pendingJumpRef.current = line;
+      setActiveFile(file);
+      return;
+    }
+    selectLine(line);
+  }, [activeFile, fileList, selectLine]);
 
-        <button
-          onClick={stopExecution}
-          disabled={pendingExecutions.current.size === 0}
-          style={{
-            padding: "8px 12px",
-            borderRadius: 6,
-            border: "1px solid #e5e7eb",
-            background: "white",
-            cursor: pendingExecutions.current.size > 0 ? "pointer" : "not-allowed",
-            opacity: pendingExecutions.current.size > 0 ? 1 : 0.5,
-          }}
-        >
-          Stop
-        </button>
+  useEffect(() => {
+    if (pendingJumpRef.current === null) return;
+    selectLine(pendingJumpRef.current);
+    pendingJumpRef.current = null;
+  }, [activeFile, selectLine]);
+
+  const activeMarkers = React.useMemo(
+    () => markers.filter((diagnostic) => (diagnostic.file || entryFile) === activeFile),
+    [markers, entryFile, activeFile]
+  );
+
+  const isRunning = status === "running";
+  const engineReady = engineStatus === "ready" || engineStatus === "busy";
+  const engineRestarting = engineStatus === "restarting";
+
+  const fileNav = showTabs ? (
+    layout === "split" ? (
+      <RunnerFileTree
+        files={fileList}
+        activeFile={activeFile}
+        entry={entryFile}
+        onSelect={setActiveFile}
+        onAdd={addFile}
+        onRemove={removeFile}
+      />
+    ) : (
+      <RunnerFileTabs
+        files={fileList}
+        activeFile={activeFile}
+        entry={entryFile}
+        onSelect={setActiveFile}
+        onAdd={addFile}
+        onRemove={removeFile}
+      />
+    )
+  ) : null;
+
+  const editor = (
+    <CodeEditor
+      ref={editorRef}
+      value={src}
+      ariaLabel={showTabs ? `PHP code editor: ${activeFile}` : "PHP code editor"}
+      diagnostics={activeMarkers}
+      onChange={(value) => {
+        setSrc(value);
+        setMarkers((current) =>
+          current.filter((diagnostic) => (diagnostic.file || entryFile) !== activeFile)
+        );
+      }}
+    />
+  );
 
+  const requestPanel = (
+    <RunnerRequestPanel
+      request={requestState}
+      entry={currentPage.file}
+      onChange={setRequestState}
+      stateful={statefulMode}
+      onStatefulChange={changeStateful}
+      defaultOpen={Boolean(request) || Boolean(stateful)}
+    />
+  );
+
+  const responsePanel = statefulMode ? (
+    <RunnerResponse response={response} cookieJar={cookieJar} onReset={resetSession} />
+  ) : null;
+
+  const environmentPanel = (
+    <RunnerEnvironment
+      ini={environment.ini}
+      extensions={environment.extensions}
+      unavailable={unavailable}
+      database={seed}
+      onChange={setEnvironment}
+      defaultOpen={Boolean(ini) || Boolean(extensions && extensions.length) || Boolean(seed)}
+    />
+  );
+
+  const toolbar = (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 8 }}>
+      <button
+        onClick={() => reload()}
+        disabled={isRunning}
+        style={{
+          ...toolbarButtonStyle,
+          border: "none",
+          background: isRunning ? "#9ca3af" : "#2563eb",
+          color: "white",
+          cursor: isRunning ? "not-allowed" : "pointer",
+        }}
+      >
+        {isRunning && engineStatus === "loading"
+          ? "Loading…"
+          : isRunning
+          ? "Running…"
+          : exercise
+          ? "Check my answer"
+          : "Run PHP"}
+      </button>
+
+      <button
+        onClick={stopExecution}
+        disabled={!isRunning}
+        style={{
+          ...toolbarButtonStyle,
+          cursor: isRunning ? "pointer" : "not-allowed",
+          opacity: isRunning ? 1 : 0.5,
+        }}
+      >
+        Stop
+      </button>
+
+      <select
+        aria-label="PHP version"
+        value={version}
+        onChange={(e) => setVersion(e.target.value)}
+        style={{ ...toolbarButtonStyle, padding: "8px 6px" }}
+      >
+        {PHP_VERSIONS.map((item) => (
+          <option key={item} value={item}>
+            PHP {item}
+          </option>
+        ))}
+      </select>
+
+      <button
+        onClick={compareVersions}
+        title="Run this code on every PHP version and compare the output"
+        style={{ ...toolbarButtonStyle, background: comparison ? "#eff6ff" : "white" }}
+      >
+        Run on all versions
+      </button>
+
+      <button
+        onClick={() => changeBrowser(!browserMode)}
+        aria-pressed={browserMode}
+        title="Show HTML output as a page whose links and forms run the script again"
+        style={{ ...toolbarButtonStyle, background: browserMode ? "#eff6ff" : "white" }}
+      >
+        Mini-browser
+      </button>
+
+      <button onClick={clearOutput} style={toolbarButtonStyle}>
+        Clear Output
+      </button>
+
+      <button
+        onClick={() => setHistoryOpen((open) => !open)}
+        aria-expanded={historyOpen}
+        style={{ ...toolbarButtonStyle, background: historyOpen ? "#eff6ff" : "white" }}
+      >
+        History ({history.length})
+      </button>
+
+      <button
+        onClick={shareCode}
+        title="Copy a link to this code"
+        style={toolbarButtonStyle}
+      >
+        {shareNote || "Share"}
+      </button>
+
+      {onOpenInPlayground ? (
         <button
-          onClick={clearOutput}
-          style={{
-            padding: "8px 12px",
-            borderRadius: 6,
-            border: "1px solid #e5e7eb",
-            background: "white",
-            cursor: "pointer",
-          }}
+          onClick={() =>
+            onOpenInPlayground({
+              files: fileList,
+              entry: entryFile,
+              request: requestState,
+              outputMode,
+              phpVersion: version,
+              ...environment,
+              database: seed,
+              stateful: statefulMode,
+              browser: browserMode,
+            })
+          }
+          title="Open a copy of this code in the playground"
+          style={toolbarButtonStyle}
         >
-          Clear Output
+          Open in playground
         </button>
+      ) : null}
 
-        <button
-          onClick={resetCode}
-          style={{
-            padding: "8px 12px",
-            borderRadius: 6,
-            border: "1px solid #e5e7eb",
-            background: "white",
-            cursor: "pointer",
-            marginLeft: "auto",
-          }}
+      {modified ? (
+        <span
+          title={storageKey ? "Your edits are saved in this browser" : undefined}
+          style={{ marginLeft: "auto", alignSelf: "center", fontSize: 12, color: "#b45309" }}
         >
-          Reset Code
-        </button>
-      </div>
+          ● Modified
+        </span>
+      ) : null}
+
+      <button
+        onClick={resetCode}
+        style={{ ...toolbarButtonStyle, marginLeft: modified ? 0 : "auto" }}
+      >
+        Reset Code
+      </button>
+    </div>
+  );
 
-      <div style={{ marginTop: 12 }}>
-        <div style={{ fontSize: 13, color: "#374151" }}>
-          Status: <strong>{status}</strong>{" "}
-          <span style={{ color: isWorkerReady.current ? "#16a34a" : "#dc2626", fontSize: 12 }}>
-            (Worker: {isWorkerReady.current ? "Ready" : "Not Ready"})
-          </span>
-          {lastError ? (
-            <span style={{ color: "#dc2626" }}> — {String(lastError)}</span>
-          ) : null}
+  const panels = (
+    <>
+      {phpVersion && String(phpVersion).trim() !== initialVersion ? (
+        <div role="note" style={{ marginTop: 8, fontSize: 12, color: "#b45309" }}>
+          PHP {phpVersion} isn't available in the browser, so this example runs on PHP {initialVersion}.
         </div>
+      ) : null}
+
+      {comparison ? <RunnerVersionCompare results={comparison} baseline={version} onClose={closeComparison} /> : null}
+
+      {exercise ? <RunnerExercise exercise={exercise} check={check} /> : null}
+
+      {historyOpen ? (
+        <RunnerHistory
+          snapshots={history}
+          original={original}
+          onRestore={restoreSnapshot}
+          onClear={() => setHistory([])}
+          onClose={() => setHistoryOpen(false)}
+        />
+      ) : null}
+    </>
+  );
+
+  const statusLine = (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 13, color: "#374151" }}>
+        Status: <strong>{status}</strong>{" "}
+        <span style={{ color: engineReady ? "#16a34a" : engineRestarting ? "#d97706" : "#dc2626", fontSize: 12 }}>
+          (Worker: {engineReady
+            ? "Ready"
+            : engineRestarting
+            ? "Restarting engine…"
+            : engineStatus === "loading"
+            ? "Loading"
+            : "Not Ready"})
+        </span>
+        {engineStatus === "error" ? (
+          <button
+            onClick={() => getPhpEngine(version, environment.extensions).restart()}
+            style={{ ...smallButtonStyle, marginLeft: 8 }}
+          >
+            Restart engine
+          </button>
+        ) : null}
+        {lastError ? (
+          <span style={{ color: "#dc2626" }}> — {String(lastError)}</span>
+        ) : null}
       </div>
+    </div>
+  );
 
-      <div
-        style={{
-          marginTop: 12,
-          background: "white",
-          border: "1px solid #e5e7eb",
-          borderRadius: 6,
-          padding: 10,
-          minHeight: 80,
-        }}
-      >
-        <div style={{ fontWeight: 600, marginBottom: 6 }}>Output</div>
-        {isHtmlOutput ? (
-          <iframe
-            ref={iframeRef}
-            title="php-preview"
-            sandbox="allow-scripts"
-            style={{
-              width: "100%",
-              minHeight: 180,
-              border: "1px solid #e5e7eb",
-              borderRadius: 6,
-            }}
-            srcDoc={output}
+  const outputView = (
+    <RunnerOutput
+      output={output}
+      isHtmlOutput={isHtmlOutput}
+      outputMode={outputMode}
+      iframeRef={iframeRef}
+      stderr={stderr}
+      diagnostics={diagnostics}
+      writtenFiles={writtenFiles}
+      tables={tables}
+      browserBar={
+        browserMode ? (
+          <RunnerBrowserBar
+            address={formatAddress(currentPage)}
+            method={currentPage.method}
+            canGoBack={visits.index > 0}
+            canGoForward={visits.index < visits.pages.length - 1}
+            onBack={() => goTo(visits.index - 1)}
+            onForward={() => goTo(visits.index + 1)}
+            onReload={() => reload()}
+            onOpen={(address) => navigate(resolveNavigation(currentPage, { method: "GET", action: address, data: null }))}
           />
-        ) : (
-          <pre
-            style={{
-              whiteSpace: "pre-wrap",
-              fontFamily: "ui-monospace, monospace",
-              fontSize: 13,
-              margin: 0,
-            }}
-          >
-            {output || (status === "idle" ? "Ready to execute PHP code..." : "")}
-          </pre>
-        )}
+        ) : null
+      }
+      showFileNames={showTabs}
+      status={status}
+      onJumpToLine={jumpToLine}
+    />
+  );
+
+  const rootStyle = { fontFamily: 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial', marginTop: 12 };
+
+  // The playground puts the files and editor next to the output, with a
+  // divider to resize them.
+  if (layout === "split") {
+    return (
+      <div style={{ ...rootStyle, marginTop: 0 }}>
+        {toolbar}
+        <RunnerSplitPane
+          left={
+            <div style={{ display: "flex", gap: 8, alignItems: "flex-start" }}>
+              {fileNav}
+              <div style={{ flex: 1, minWidth: 0 }}>{editor}</div>
+            </div>
+          }
+          right={
+            <>
+              {requestPanel}
+              {environmentPanel}
+              {responsePanel}
+              {panels}
+              {statusLine}
+              {outputView}
+            </>
+          }
+        />
       </div>
+    );
+  }
+
+  return (
+    <div style={rootStyle}>
+      {fileNav}
+      {editor}
+
+      {requestPanel}
+      {environmentPanel}
+
+      {toolbar}
+
+      {responsePanel}
+
+      {panels}
+
+      {statusLine}
+
+      {outputView}
     </div>
   );
-}
\ No newline at end of file
+}
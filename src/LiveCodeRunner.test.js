@@ -0,0 +1,443 @@
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import LiveCodeRunner from './LiveCodeRunner';
+import { StubPhpWorker } from './createPhpWorker';
+import { decodeShare } from './shareLink';
+import { editorText, typeInEditor } from './editorTestUtils';
+
+const flush = () => act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+// The newest worker booted for a PHP version.
+function workerFor(version = '8.3') {
+  return StubPhpWorker.instances.filter((worker) => worker.posted[0].options.version === version).pop();
+}
+
+async function runAndReply(reply, version) {
+  fireEvent.click(screen.getByText('Run PHP'));
+  await flush();
+  const worker = workerFor(version);
+  const runs = worker.runs();
+  await act(async () => {
+    worker.reply({ type: 'result', id: runs[runs.length - 1].id, stdout: '', stderr: '', diagnostics: [], ...reply });
+  });
+}
+
+test('marks the gutter line of a reported error until the code is edited', async () => {
+  render(<LiveCodeRunner code={'<?php\necho $missing;\n'} />);
+
+  await runAndReply({
+    stdout: 'done',
+    diagnostics: [{ type: 2, severity: 'warning', message: 'Undefined variable $missing', line: 2 }],
+  });
+
+  const marker = screen.getByLabelText(/Line 2: Warning: Undefined variable \$missing/);
+  expect(marker).toHaveAttribute('title', 'Warning: Undefined variable $missing');
+  expect(screen.getByText('done')).toBeInTheDocument();
+  expect(screen.getByText(/Undefined variable \$missing/, { selector: 'button' })).toBeInTheDocument();
+
+  typeInEditor(screen.getByLabelText('PHP code editor'), '<?php\necho "fixed";\n');
+  expect(screen.queryByLabelText(/Line 2:/)).not.toBeInTheDocument();
+});
+
+test('shows a fatal error in the status line', async () => {
+  render(<LiveCodeRunner code={'<?php\nnope();\n'} />);
+
+  await runAndReply({
+    diagnostics: [{ type: 1, severity: 'fatal', message: 'Uncaught Error: Call to undefined function nope()', line: 2 }],
+  });
+
+  expect(screen.getByText(/— Fatal error: Uncaught Error: Call to undefined function nope\(\) on line 2/)).toBeInTheDocument();
+});
+
+test('sends the edited request description with the run', async () => {
+  render(<LiveCodeRunner code={'<?php echo $_GET["user"];'} request={{ query: 'user=dev' }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('user=alice&page=2'), { target: { value: 'user=ann' } });
+  fireEvent.click(screen.getByText('Run PHP'));
+  await flush();
+
+  const worker = workerFor();
+  const runs = worker.runs();
+  expect(runs[runs.length - 1].request).toMatchObject({ method: 'GET', query: 'user=ann' });
+});
+
+test('runs multi-file examples and jumps to errors in included files', async () => {
+  jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+  render(
+    <LiveCodeRunner
+      files={{ 'index.php': "<?php\nrequire 'helpers.php';\n", 'helpers.php': '<?php\n\necho $nope;\n' }}
+    />
+  );
+
+  await runAndReply({
+    diagnostics: [{ type: 2, severity: 'warning', message: 'Undefined variable $nope', file: 'helpers.php', line: 3 }],
+    files: [
+      { name: 'index.php', code: "<?php\nrequire 'helpers.php';\n" },
+      { name: 'helpers.php', code: '<?php\n\necho $nope;\n' },
+      { name: 'log.txt', code: 'written' },
+    ],
+  });
+
+  const worker = workerFor();
+  const runs = worker.runs();
+  expect(runs[runs.length - 1]).toMatchObject({ entry: 'index.php', files: [{ name: 'index.php' }, { name: 'helpers.php' }] });
+  expect(screen.getByText('log.txt')).toBeInTheDocument();
+  expect(screen.queryByLabelText(/Line 3:/)).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByText(/Undefined variable \$nope in helpers.php on line 3/));
+  expect(screen.getByRole('tab', { name: 'helpers.php' })).toHaveAttribute('aria-selected', 'true');
+  expect(screen.getByLabelText(/Line 3: Warning: Undefined variable \$nope/)).toBeInTheDocument();
+});
+
+test('keeps edits under its storage key until the code is reset', () => {
+  window.localStorage.clear();
+  const { unmount } = render(<LiveCodeRunner code={'<?php echo 1;'} storageKey="Intro/0" />);
+  expect(screen.queryByText('● Modified')).not.toBeInTheDocument();
+
+  typeInEditor(screen.getByLabelText('PHP code editor'), '<?php echo 2;');
+  expect(screen.getByText('● Modified')).toBeInTheDocument();
+  unmount();
+
+  render(<LiveCodeRunner code={'<?php echo 1;'} storageKey="Intro/0" />);
+  expect(editorText(screen.getByLabelText('PHP code editor'))).toBe('<?php echo 2;');
+
+  fireEvent.click(screen.getByText('Reset Code'));
+  expect(editorText(screen.getByLabelText('PHP code editor'))).toBe('<?php echo 1;');
+  expect(window.localStorage.length).toBe(0);
+});
+
+test('saves a snapshot per run and restores it from the history', async () => {
+  render(<LiveCodeRunner code={'<?php echo 1;'} />);
+
+  typeInEditor(screen.getByLabelText('PHP code editor'), '<?php echo 2;');
+  await runAndReply({ stdout: '2' });
+  typeInEditor(screen.getByLabelText('PHP code editor'), '<?php echo 3;');
+
+  fireEvent.click(screen.getByText('History (1)'));
+  fireEvent.click(screen.getByText('Diff vs original'));
+  expect(screen.getByText('<?php echo 2;', { selector: '[data-diff="added"]', exact: false })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Restore this version'));
+  expect(editorText(screen.getByLabelText('PHP code editor'))).toBe('<?php echo 2;');
+});
+
+test('checks an exercise run against the expected output and hidden tests', async () => {
+  const exercise = { expected: { text: 'HELLO!', match: 'exact' }, tests: '<?php check_same("hi", "HI!", shout("hi"));' };
+  render(<LiveCodeRunner code={'<?php\nfunction shout($s) { return $s; }\necho shout("hello");\n'} exercise={exercise} />);
+  expect(screen.getByText('Expected output')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Check my answer'));
+  await flush();
+  const worker = workerFor();
+  const first = worker.runs()[worker.runs().length - 1];
+  expect(first.tests).toBe(exercise.tests);
+  await act(async () => {
+    worker.reply({
+      type: 'result',
+      id: first.id,
+      stdout: 'hello',
+      stderr: '',
+      diagnostics: [],
+      tests: [{ name: 'hi', passed: false, message: "Expected 'HI!', got 'hi'" }],
+    });
+  });
+
+  const result = screen.getByRole('status');
+  expect(result).toHaveTextContent('Not quite yet');
+  expect(within(result).getByText('HELLO!', { selector: '[data-diff="removed"]', exact: false })).toBeInTheDocument();
+  expect(within(result).getByText('hello', { selector: '[data-diff="added"]', exact: false })).toBeInTheDocument();
+  expect(result).toHaveTextContent("✗ hi — Expected 'HI!', got 'hi'");
+
+  fireEvent.click(screen.getByText('Check my answer'));
+  await flush();
+  const second = worker.runs()[worker.runs().length - 1];
+  await act(async () => {
+    worker.reply({ type: 'result', id: second.id, stdout: 'HELLO!\n', stderr: '', diagnostics: [], tests: [{ name: 'hi', passed: true, message: '' }] });
+  });
+  expect(screen.getByRole('status')).toHaveTextContent('Passed');
+});
+
+test('copies a share link with the edited code and request', async () => {
+  const writeText = jest.fn().mockResolvedValue();
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  try {
+    render(<LiveCodeRunner code={'<?php echo 1;'} request={{ method: 'POST', body: 'a=1' }} outputMode="text" />);
+    typeInEditor(screen.getByLabelText('PHP code editor'), '<?php echo 2;');
+
+    fireEvent.click(screen.getByText('Share'));
+    expect(await screen.findByText('Link copied')).toBeInTheDocument();
+
+    const [url] = writeText.mock.calls[0];
+    expect(decodeShare(url.split('#share/')[1])).toMatchObject({
+      files: [{ name: 'index.php', code: '<?php echo 2;' }],
+      request: { method: 'POST', body: 'a=1' },
+      outputMode: 'text',
+    });
+  } finally {
+    delete navigator.clipboard;
+  }
+});
+
+test('lays out files, editor and output side by side in the split layout', () => {
+  render(
+    <LiveCodeRunner
+      layout="split"
+      files={{ 'index.php': "<?php require 'lib/db.php';", 'lib/db.php': '<?php', 'about.txt': 'hi' }}
+    />
+  );
+
+  const tree = screen.getByRole('tree', { name: 'Files' });
+  expect(within(tree).getAllByRole('treeitem').map((item) => item.getAttribute('aria-label') || item.textContent)).toEqual([
+    '📁 libdb.php×',
+    'lib/db.php',
+    'about.txt',
+    'index.php',
+  ]);
+  fireEvent.click(within(tree).getByText('db.php'));
+  expect(editorText(screen.getByLabelText('PHP code editor: lib/db.php'))).toBe('<?php');
+
+  const divider = screen.getByRole('separator', { name: 'Resize editor and output' });
+  expect(divider).toHaveAttribute('aria-valuenow', '50');
+  fireEvent.keyDown(divider, { key: 'ArrowRight' });
+  expect(divider).toHaveAttribute('aria-valuenow', '55');
+  expect(screen.getByText('Output')).toBeInTheDocument();
+});
+
+test('runs on the PHP version picked in the dropdown', async () => {
+  render(<LiveCodeRunner code={'<?php echo PHP_VERSION;'} phpVersion="8.1" />);
+  expect(screen.getByLabelText('PHP version')).toHaveValue('8.1');
+
+  fireEvent.change(screen.getByLabelText('PHP version'), { target: { value: '8.4' } });
+  fireEvent.click(screen.getByText('Run PHP'));
+  await flush();
+  const worker = workerFor('8.4');
+  expect(worker.runs()).toHaveLength(1);
+  await act(async () => {
+    worker.reply({ type: 'result', id: worker.runs()[0].id, stdout: '8.4.1', stderr: '', diagnostics: [] });
+  });
+  expect(screen.getByText('8.4.1')).toBeInTheDocument();
+});
+
+test('says when the requested PHP version is not available', () => {
+  render(<LiveCodeRunner code={'<?php echo 1;'} phpVersion="7.4" />);
+
+  expect(screen.getByRole('note')).toHaveTextContent("PHP 7.4 isn't available in the browser, so this example runs on PHP 8.0.");
+  expect(screen.getByLabelText('PHP version')).toHaveValue('8.0');
+});
+
+test('compares the output on every PHP version', async () => {
+  render(<LiveCodeRunner code={'<?php enum Suit { case Hearts; } echo "ok";'} />);
+  fireEvent.click(screen.getByText('Run on all versions'));
+
+  for (const version of ['8.0', '8.1', '8.2', '8.3', '8.4', '8.5']) {
+    await flush();
+    const worker = workerFor(version);
+    const run = worker.runs()[worker.runs().length - 1];
+    const parseError = { type: 4, severity: 'parse', message: 'syntax error, unexpected identifier "Suit"', line: 1 };
+    await act(async () => {
+      worker.reply({
+        type: 'result',
+        id: run.id,
+        stdout: version === '8.0' ? '' : 'ok',
+        stderr: '',
+        diagnostics: version === '8.0' ? [parseError] : [],
+      });
+    });
+  }
+
+  const panel = screen.getByRole('region', { name: 'Output on every PHP version' });
+  expect(within(panel).getByText(/PHP 8\.1, 8\.2, 8\.3, 8\.4, 8\.5/)).toHaveTextContent('(selected version)');
+  expect(within(panel).getByText(/PHP 8\.0/)).toHaveTextContent('differs from PHP 8.3');
+  expect(within(panel).getByText(/syntax error/, { selector: '[data-diff="added"]' })).toBeInTheDocument();
+  expect(within(panel).getByText('- ok', { selector: '[data-diff="removed"]' })).toBeInTheDocument();
+
+  fireEvent.click(within(panel).getByText('Close'));
+  expect(screen.queryByRole('region', { name: 'Output on every PHP version' })).not.toBeInTheDocument();
+});
+
+test('sends the ini settings with the run and loads extensions on their own worker', async () => {
+  render(<LiveCodeRunner code={'<?php echo ini_get("precision");'} ini={{ precision: 4 }} extensions={['intl']} />);
+  expect(screen.getByText('precision=4')).toBeInTheDocument();
+  expect(screen.getByRole('note')).toHaveTextContent('Not available in the browser: intl');
+
+  fireEvent.change(screen.getByLabelText(/ini settings/), { target: { value: 'precision = 4\ndisplay_errors = 1' } });
+  fireEvent.click(screen.getByLabelText(/^mbstring/));
+  expect(screen.getByText('precision=4 · display_errors=1 · mbstring')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Run PHP'));
+  await flush();
+  const worker = StubPhpWorker.instances.find((item) => item.posted[0].options.sharedLibs.length);
+  expect(worker.posted[0].options.sharedLibs).toEqual([
+    { name: 'php8.3-mbstring.so', ini: true, url: 'http://localhost/php-wasm/ext/mbstring/php8.3-mbstring.so' },
+    { name: 'libonig.so', url: 'http://localhost/php-wasm/ext/mbstring/libonig.so' },
+  ]);
+  expect(worker.runs()[0].ini).toBe('precision = 4\ndisplay_errors = 1');
+});
+
+test('seeds the database on a sqlite worker and shows its tables after the run', async () => {
+  render(
+    <LiveCodeRunner
+      code={"<?php $db = new PDO('sqlite:/data/app.sqlite');"}
+      database={{ schema: 'CREATE TABLE users (id, name);', fixtures: "INSERT INTO users VALUES (1, 'Ann');" }}
+    />
+  );
+  expect(screen.getByLabelText(/^sqlite/)).toBeChecked();
+  expect(screen.getByLabelText(/^sqlite/)).toBeDisabled();
+  expect(screen.getByText('(needed by the database)')).toBeInTheDocument();
+  expect(screen.getByText(/INSERT INTO users/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Run PHP'));
+  await flush();
+  const worker = StubPhpWorker.instances.find((item) =>
+    item.posted[0].options.sharedLibs.some((lib) => lib.name === 'php8.3-pdo-sqlite.so')
+  );
+  const [run] = worker.runs();
+  expect(run.database).toEqual({ schema: 'CREATE TABLE users (id, name);', fixtures: "INSERT INTO users VALUES (1, 'Ann');" });
+  await act(async () => {
+    worker.reply({
+      type: 'result',
+      id: run.id,
+      stdout: '',
+      stderr: '',
+      diagnostics: [],
+      database: [
+        { name: 'posts', columns: ['id'], rows: [], count: 0 },
+        { name: 'users', columns: ['id', 'name'], rows: [[1, 'Ann'], [2, null]], count: 2 },
+      ],
+    });
+  });
+
+  const tables = screen.getByRole('region', { name: 'Database tables' });
+  expect(within(tables).getByText('posts: 0 rows')).toBeInTheDocument();
+  fireEvent.change(within(tables).getByLabelText('Table'), { target: { value: 'users' } });
+  expect(within(tables).getByText('users: 2 rows')).toBeInTheDocument();
+  expect(within(tables).getByRole('columnheader', { name: 'name' })).toBeInTheDocument();
+  expect(within(tables).getByText('Ann')).toBeInTheDocument();
+  expect(within(tables).getByText('NULL')).toBeInTheDocument();
+});
+
+test('keeps the cookies a stateful run sets for the next run until the session is reset', async () => {
+  render(<LiveCodeRunner code={'<?php session_start();'} request={{ cookies: 'theme=dark' }} phpVersion="8.2" stateful />);
+
+  await runAndReply({
+    stdout: 'Welcome',
+    response: { status: false, headers: ['Set-Cookie: PHPSESSID=abc123; path=/', 'Location: /account.php'] },
+  }, '8.2');
+  const lastRun = () => workerFor('8.2').runs().slice(-1)[0];
+  expect(lastRun()).toMatchObject({ stateful: true, request: { cookies: 'theme=dark' } });
+
+  const panel = screen.getByRole('region', { name: 'HTTP response' });
+  expect(within(panel).getByText('302 Found')).toBeInTheDocument();
+  expect(within(panel).getByText('/account.php', { selector: 'div > code' })).toBeInTheDocument();
+  expect(within(panel).getByRole('list', { name: 'Cookies set' })).toHaveTextContent('PHPSESSID=abc123; path=/');
+  expect(within(panel).getByText(/Cookies sent with the next run/)).toHaveTextContent('PHPSESSID=abc123');
+
+  await runAndReply({ response: { status: 200, headers: [] } }, '8.2');
+  expect(lastRun().request.cookies).toBe('theme=dark; PHPSESSID=abc123');
+  expect(within(panel).getByText('200 OK')).toBeInTheDocument();
+
+  fireEvent.click(within(panel).getByText('Reset session'));
+  expect(within(panel).getByText(/Cookies sent with the next run: none/)).toBeInTheDocument();
+  await runAndReply({ response: { status: 200, headers: [] } }, '8.2');
+  expect(lastRun().request.cookies).toBe('theme=dark');
+});
+
+test('turns stateful mode on from the request panel', async () => {
+  render(<LiveCodeRunner code={'<?php echo 1;'} phpVersion="8.2" />);
+  expect(screen.queryByRole('region', { name: 'HTTP response' })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Keep cookies and session between runs'));
+  await runAndReply({ response: { status: 404, headers: [] } }, '8.2');
+  expect(workerFor('8.2').runs().slice(-1)[0].stateful).toBe(true);
+  expect(within(screen.getByRole('region', { name: 'HTTP response' })).getByText('404 Not Found')).toBeInTheDocument();
+});
+
+test('runs links and form submits from the mini-browser and goes back through its history', async () => {
+  render(
+    <LiveCodeRunner
+      files={{ 'index.php': '<?php echo "<form method=post>";', 'thanks.php': '<?php echo "<p>Thanks</p>";' }}
+      phpVersion="8.1"
+      browser
+    />
+  );
+  const worker = () => workerFor('8.1');
+  const lastRun = () => worker().runs().slice(-1)[0];
+  const reply = (result) =>
+    act(async () => {
+      worker().reply({ type: 'result', id: lastRun().id, stdout: '', stderr: '', diagnostics: [], ...result });
+    });
+  const submit = async (message) => {
+    await act(async () => {
+      window.dispatchEvent(
+        new MessageEvent('message', {
+          data: { type: 'php-runner:navigate', ...message },
+          source: screen.getByTitle('php-preview').contentWindow,
+        })
+      );
+    });
+    await flush();
+  };
+
+  await runAndReply({ stdout: '<form method=post></form>', response: { status: false, headers: [] } }, '8.1');
+  expect(screen.getByLabelText('Address')).toHaveValue('/index.php');
+
+  // The form posts back to index.php, which redirects to thanks.php.
+  await submit({ method: 'POST', action: '', data: 'name=Ann' });
+  expect(lastRun()).toMatchObject({ entry: 'index.php', stateful: true, request: { method: 'POST', body: 'name=Ann' } });
+  await reply({ response: { status: false, headers: ['Location: thanks.php'] } });
+  await flush();
+  expect(lastRun()).toMatchObject({ entry: 'thanks.php', request: { method: 'GET', body: '' } });
+  await reply({ stdout: '<p>Thanks</p>', response: { status: 200, headers: [] } });
+  expect(screen.getByLabelText('Address')).toHaveValue('/thanks.php');
+
+  fireEvent.click(screen.getByLabelText('Back'));
+  await flush();
+  expect(lastRun()).toMatchObject({ entry: 'index.php', request: { method: 'GET' } });
+  await reply({ stdout: '<form method=post></form>', response: { status: 200, headers: [] } });
+  expect(screen.getByLabelText('Address')).toHaveValue('/index.php');
+  expect(screen.getByLabelText('Forward')).toBeEnabled();
+
+  fireEvent.change(screen.getByLabelText('Address'), { target: { value: '/missing.php' } });
+  fireEvent.submit(screen.getByRole('navigation', { name: 'Preview navigation' }));
+  await flush();
+  expect(screen.getByText(/404 Not Found: \/missing\.php/)).toBeInTheDocument();
+});
+
+test('restarts the engine when a run times out and offers a restart if that fails', async () => {
+  jest.useFakeTimers();
+  try {
+    render(<LiveCodeRunner code={'<?php while (true) {}'} phpVersion="8.5" timeoutMs={1000} />);
+    await act(async () => {
+      jest.advanceTimersByTime(0);
+    });
+    const stuck = workerFor('8.5');
+
+    fireEvent.click(screen.getByText('Run PHP'));
+    // Lets the engine's start() promise post the run.
+    await act(async () => {
+      await Promise.resolve();
+    });
+    expect(stuck.runs().slice(-1)[0].files[0].code).toBe('<?php while (true) {}');
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(stuck.terminated).toBe(true);
+    expect(screen.getByText(/Status:/)).toHaveTextContent(/^Status: timeout/);
+    expect(screen.getByText('(Worker: Restarting engine…)')).toBeInTheDocument();
+
+    const restarted = workerFor('8.5');
+    expect(restarted).not.toBe(stuck);
+    await act(async () => {
+      restarted.reply({ type: 'error', error: 'wasm failed to load' });
+    });
+    fireEvent.click(screen.getByText('Restart engine'));
+    await act(async () => {
+      jest.advanceTimersByTime(0);
+    });
+    expect(workerFor('8.5')).not.toBe(restarted);
+    expect(screen.getByText('(Worker: Ready)')).toBeInTheDocument();
+    expect(screen.queryByText('Restart engine')).not.toBeInTheDocument();
+  } finally {
+    jest.useRealTimers();
+  }
+});
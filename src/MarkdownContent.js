@@ -0,0 +1,219 @@
+import React, { useMemo } from "react";
+import LiveCodeRunner from "./LiveCodeRunner";
+import { anchorId, sectionHash } from "./hashRoute";
+import { decodeEntities, lessonAnchors, parseLesson } from "./lessonMarkdown";
+import { exampleKey } from "./runnerStorage";
+
+const HEADING_CLASSES = {
+  1: "text-2xl font-semibold mt-6 mb-2",
+  2: "text-2xl font-semibold mt-6 mb-2",
+  3: "text-xl font-semibold mt-6 mb-2",
+  4: "mt-4 font-semibold",
+  5: "mt-4 font-medium",
+  6: "mt-4 font-medium",
+};
+
+function renderInline(tokens = []) {
+  return tokens.map((token, index) => {
+    switch (token.type) {
+      case "strong":
+        return <strong key={index}>{renderInline(token.tokens)}</strong>;
+      case "em":
+        return <em key={index}>{renderInline(token.tokens)}</em>;
+      case "del":
+        return <del key={index}>{renderInline(token.tokens)}</del>;
+      case "codespan":
+        return <code key={index}>{token.text}</code>;
+      case "br":
+        return <br key={index} />;
+      case "link":
+        return (
+          <a key={index} href={token.href} title={token.title || undefined} className="text-blue-600 underline">
+            {renderInline(token.tokens)}
+          </a>
+        );
+      case "image":
+        return <img key={index} src={token.href} alt={token.text} title={token.title || undefined} />;
+      case "escape":
+        return <React.Fragment key={index}>{decodeEntities(token.text)}</React.Fragment>;
+      case "text":
+        return token.tokens ? (
+          <React.Fragment key={index}>{renderInline(token.tokens)}</React.Fragment>
+        ) : (
+          <React.Fragment key={index}>{decodeEntities(token.text)}</React.Fragment>
+        );
+      default:
+        // Raw HTML is not supported in lessons; show it as text so it gets
+        // noticed and fixed.
+        return <React.Fragment key={index}>{token.raw}</React.Fragment>;
+    }
+  });
+}
+
+// The solution stays out of the page; only the lesson tests use it.
+function exerciseOf(block) {
+  return { expected: block.expected, tests: block.tests };
+}
+
+function renderBlock(block, key, runnerKey, handlers = {}) {
+  const { onExercisePassed, onOpenInPlayground } = handlers;
+  switch (block.type) {
+    case "runner":
+      return (
+        <LiveCodeRunner
+          key={key}
+          code={block.code}
+          files={block.files}
+          entry={block.entry}
+          request={block.request}
+          outputMode={block.outputMode}
+          phpVersion={block.phpVersion}
+          ini={block.ini}
+          extensions={block.extensions}
+          database={block.database}
+          stateful={block.stateful}
+          browser={block.browser}
+          storageKey={runnerKey}
+          exercise={block.exercise ? exerciseOf(block) : undefined}
+          onCheck={
+            block.exercise && onExercisePassed
+              ? (check) => check.passed && onExercisePassed(runnerKey)
+              : undefined
+          }
+          onOpenInPlayground={onOpenInPlayground ? (source) => onOpenInPlayground(source, handlers.exampleNumber) : undefined}
+        />
+      );
+    case "heading": {
+      const Heading = `h${block.depth}`;
+      return (
+        <Heading key={key} className={HEADING_CLASSES[block.depth]}>
+          {renderInline(block.tokens)}
+        </Heading>
+      );
+    }
+    case "paragraph":
+      return (
+        <p key={key} className="mt-3">
+          {renderInline(block.tokens)}
+        </p>
+      );
+    case "text":
+      return <React.Fragment key={key}>{block.tokens ? renderInline(block.tokens) : decodeEntities(block.text)}</React.Fragment>;
+    case "list": {
+      const List = block.ordered ? "ol" : "ul";
+      return (
+        <List
+          key={key}
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+          className={`${block.ordered ? "list-decimal" : "list-disc"} ml-6 mt-2 space-y-1`}
+        >
+          {block.items.map((item, index) => (
+            <li key={index}>{item.tokens.map((child, childIndex) => renderBlock(child, childIndex))}</li>
+          ))}
+        </List>
+      );
+    }
+    case "table":
+      return (
+        <table key={key} className="table-auto border-collapse border border-gray-400 mt-3">
+          <thead>
+            <tr className="bg-gray-200">
+              {block.header.map((cell, index) => (
+                <th key={index} className="border border-gray-400 px-2 py-1">
+                  {renderInline(cell.tokens)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {block.rows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {row.map((cell, index) => (
+                  <td key={index} className="border px-2 py-1">
+                    {renderInline(cell.tokens)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    case "code":
+      return (
+        <pre key={key} className="mt-3 p-3 bg-gray-100 rounded-md text-sm overflow-auto">
+          <code className={block.lang ? `language-${block.lang}` : undefined}>{block.text}</code>
+        </pre>
+      );
+    case "blockquote":
+      return (
+        <blockquote key={key} className="mt-3 border-l-4 border-gray-300 pl-4 text-gray-600">
+          {block.tokens.map((child, index) => renderBlock(child, index))}
+        </blockquote>
+      );
+    case "hr":
+      return <hr key={key} className="my-6" />;
+    default:
+      return (
+        <p key={key} className="mt-3">
+          {block.raw}
+        </p>
+      );
+  }
+}
+
+function AnchorLink({ href, label, children, className }) {
+  return (
+    <a href={href} aria-label={label} title={label} className={`text-gray-400 hover:text-blue-600 no-underline ${className}`}>
+      {children}
+    </a>
+  );
+}
+
+// Renders a lesson body. Runners get a storage key from the section id and
+// their position in the lesson, so edits survive switching sections.
+// `onExercisePassed` is called with that key whenever an exercise is solved,
+// `onOpenInPlayground` with a runner's current code and its example number.
+// Every block is wrapped in an element with its position as `data-block`, so
+// search results can scroll to it; headings and runners also get an element
+// id and a link for their URL anchor (see hashRoute.js).
+export default function MarkdownContent({ source, sectionId, onExercisePassed, onOpenInPlayground }) {
+  const blocks = useMemo(() => parseLesson(source), [source]);
+  const anchors = useMemo(() => lessonAnchors(blocks), [blocks]);
+  let runnerIndex = 0;
+
+  return (
+    <>
+      {blocks.map((block, index) => {
+        const runnerKey = block.type === "runner" ? exampleKey(sectionId, runnerIndex++) : undefined;
+        const anchor = anchors[index];
+        const href = anchor ? sectionHash(sectionId, anchor) : undefined;
+        return (
+          <div
+            key={index}
+            data-block={index}
+            id={anchor ? anchorId(sectionId, anchor) : undefined}
+            className={block.type === "heading" ? "group relative" : undefined}
+          >
+            {block.type === "runner" ? (
+              <div className="flex justify-end mt-3 -mb-2 text-xs">
+                <AnchorLink href={href} label={`Link to example ${runnerIndex}`}>
+                  🔗 Example {runnerIndex}
+                </AnchorLink>
+              </div>
+            ) : null}
+            {renderBlock(block, index, runnerKey, { onExercisePassed, onOpenInPlayground, exampleNumber: runnerIndex })}
+            {block.type === "heading" ? (
+              <AnchorLink
+                href={href}
+                label={`Link to ${block.text}`}
+                className="absolute -left-4 bottom-0 opacity-0 group-hover:opacity-100 focus:opacity-100"
+              >
+                #
+              </AnchorLink>
+            ) : null}
+          </div>
+        );
+      })}
+    </>
+  );
+}
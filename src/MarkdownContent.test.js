@@ -0,0 +1,65 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import MarkdownContent from './MarkdownContent';
+import { StubPhpWorker } from './createPhpWorker';
+import { editorText } from './editorTestUtils';
+
+const lesson = [
+  '#### Loops',
+  '',
+  'Use **foreach** with `$items`.',
+  '',
+  '| Loop | Use |',
+  '| --- | --- |',
+  '| for | counters |',
+  '| pow | 2\\*\\*3 |',
+  '',
+  '```php',
+  'first',
+  '```',
+  '',
+  '- item',
+  '',
+  '```php',
+  'second',
+  '```',
+].join('\n');
+
+test('renders Markdown and turns php blocks into runners', () => {
+  render(<MarkdownContent source={lesson} sectionId="Loops" />);
+
+  expect(screen.getByRole('heading', { level: 4, name: 'Loops' })).toBeInTheDocument();
+  expect(screen.getByText('foreach', { selector: 'strong' })).toBeInTheDocument();
+  expect(screen.getByText('$items', { selector: 'code' })).toBeInTheDocument();
+  expect(screen.getByRole('cell', { name: 'counters' })).toBeInTheDocument();
+  expect(screen.getByRole('cell', { name: '2**3' })).toBeInTheDocument();
+  expect(screen.getAllByLabelText('PHP code editor')).toHaveLength(2);
+});
+
+test('keys runners by their position in the section', () => {
+  window.localStorage.setItem(
+    'php-notes:runner:Loops/1',
+    JSON.stringify({ original: [{ name: 'index.php', code: 'second' }], files: [{ name: 'index.php', code: 'edited' }] })
+  );
+
+  render(<MarkdownContent source={lesson} sectionId="Loops" />);
+
+  const editors = screen.getAllByLabelText('PHP code editor');
+  expect(editorText(editors[0])).toBe('first');
+  expect(editorText(editors[1])).toBe('edited');
+});
+
+test('reports solved exercises with their runner key', async () => {
+  const onExercisePassed = jest.fn();
+  const source = [lesson, '', '```php exercise', '<?php', '```', '```output', 'done', '```'].join('\n');
+  render(<MarkdownContent source={source} sectionId="Loops" onExercisePassed={onExercisePassed} />);
+
+  fireEvent.click(screen.getByText('Check my answer'));
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+  const worker = StubPhpWorker.instances[StubPhpWorker.instances.length - 1];
+  const runs = worker.runs();
+  await act(async () => {
+    worker.reply({ type: 'result', id: runs[runs.length - 1].id, stdout: 'done', stderr: '', diagnostics: [] });
+  });
+
+  expect(onExercisePassed).toHaveBeenCalledWith('Loops/2');
+});
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_SECTION, navigate, playgroundHash, sectionHash } from "./hashRoute";
+import LiveCodeRunner from "./LiveCodeRunner";
+import {
+  createSnippet,
+  deleteSnippetData,
+  loadSnippets,
+  nextScratchName,
+  playgroundKey,
+  saveSnippets,
+} from "./playgroundStorage";
+
+function initialSnippets() {
+  const saved = loadSnippets();
+  return saved.length ? saved : [createSnippet({ name: nextScratchName([]) })];
+}
+
+// Full-page runner with a list of scratch snippets. Each snippet is a
+// LiveCodeRunner with its own storage key, so edits and run history are kept
+// per snippet.
+export default function Playground({ snippetId }) {
+  const [snippets, setSnippets] = useState(initialSnippets);
+  const selected = snippets.find((snippet) => snippet.id === snippetId) || snippets[0];
+
+  useEffect(() => {
+    saveSnippets(snippets);
+  }, [snippets]);
+
+  const addScratch = () => {
+    const snippet = createSnippet({ name: nextScratchName(snippets) });
+    setSnippets((current) => [...current, snippet]);
+    navigate(playgroundHash(snippet.id));
+  };
+
+  const renameSnippet = (snippet) => {
+    const name = (window.prompt("Snippet name", snippet.name) || "").trim();
+    if (!name) return;
+    setSnippets((current) => current.map((item) => (item.id === snippet.id ? { ...item, name } : item)));
+  };
+
+  const removeSnippet = (snippet) => {
+    if (!window.confirm(`Delete "${snippet.name}" and its saved code?`)) return;
+    deleteSnippetData(snippet.id);
+    const rest = snippets.filter((item) => item.id !== snippet.id);
+    setSnippets(rest.length ? rest : [createSnippet({ name: nextScratchName([]) })]);
+    navigate(playgroundHash(null));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-800">
+      <header className="flex items-center gap-4 px-6 py-4 bg-white shadow-sm sticky top-0 z-20">
+        <a href={sectionHash(DEFAULT_SECTION)} className="p-2 rounded-md hover:bg-gray-100 text-sm">
+          ← Notes
+        </a>
+        <h1 className="text-xl font-semibold">PHP Playground</h1>
+      </header>
+
+      <main className="flex">
+        <aside className="w-56 shrink-0 bg-white border-r p-4 sticky top-16 h-[calc(100vh-64px)] overflow-auto">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold">Snippets</h3>
+            <button onClick={addScratch} className="text-sm text-blue-600 hover:underline">
+              + New
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {snippets.map((snippet) => (
+              <li key={snippet.id}>
+                <a
+                  href={playgroundHash(snippet.id)}
+                  aria-current={snippet.id === selected.id ? "page" : undefined}
+                  className={`block p-2 rounded-md text-sm hover:bg-gray-100 ${snippet.id === selected.id ? "bg-blue-50 border-l-4 border-blue-500" : ""}`}
+                >
+                  {snippet.name}
+                </a>
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-3 mt-4 text-xs">
+            <button onClick={() => renameSnippet(selected)} className="text-blue-600 hover:underline">
+              Rename
+            </button>
+            <button onClick={() => removeSnippet(selected)} className="text-red-600 hover:underline">
+              Delete
+            </button>
+          </div>
+        </aside>
+
+        <section className="flex-1 min-w-0 p-4">
+          <LiveCodeRunner
+            key={selected.id}
+            files={selected.files}
+            entry={selected.entry}
+            request={selected.request}
+            outputMode={selected.outputMode}
+            phpVersion={selected.phpVersion}
+            ini={selected.ini}
+            extensions={selected.extensions}
+            database={selected.database}
+            stateful={selected.stateful}
+            browser={selected.browser}
+            storageKey={playgroundKey(selected.id)}
+            layout="split"
+          />
+        </section>
+      </main>
+    </div>
+  );
+}
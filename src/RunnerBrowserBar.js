@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from "react";
+import { inputStyle, smallButtonStyle } from "./runnerStyles";
+
+// The arrows read better a size up.
+const buttonStyle = (enabled) => ({
+  ...smallButtonStyle,
+  fontSize: 13,
+  cursor: enabled ? "pointer" : "not-allowed",
+  opacity: enabled ? 1 : 0.5,
+});
+
+// Back, forward, reload and an editable address for the mini-browser.
+// Entering an address requests it with GET.
+export default function RunnerBrowserBar({ address, method, canGoBack, canGoForward, onBack, onForward, onReload, onOpen }) {
+  const [draft, setDraft] = useState(address);
+
+  useEffect(() => setDraft(address), [address]);
+
+  return (
+    <form
+      role="navigation"
+      aria-label="Preview navigation"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onOpen(draft);
+      }}
+      style={{ display: "flex", gap: 4, alignItems: "center", marginBottom: 6 }}
+    >
+      <button type="button" onClick={onBack} disabled={!canGoBack} aria-label="Back" style={buttonStyle(canGoBack)}>
+        ←
+      </button>
+      <button type="button" onClick={onForward} disabled={!canGoForward} aria-label="Forward" style={buttonStyle(canGoForward)}>
+        →
+      </button>
+      <button type="button" onClick={onReload} aria-label="Reload" style={buttonStyle(true)}>
+        ↻
+      </button>
+      {method !== "GET" ? (
+        <code title="The page on show answered this request" style={{ fontSize: 12, color: "#6b7280" }}>
+          {method}
+        </code>
+      ) : null}
+      <input
+        aria-label="Address"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        spellCheck={false}
+        style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+      />
+    </form>
+  );
+}
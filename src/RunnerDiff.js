@@ -0,0 +1,25 @@
+import React from "react";
+import { boxedPreStyle } from "./runnerStyles";
+
+const DIFF_STYLES = {
+  added: { background: "#dcfce7", color: "#166534", prefix: "+ " },
+  removed: { background: "#fee2e2", color: "#991b1b", prefix: "- " },
+  same: { background: "transparent", color: "#374151", prefix: "  " },
+};
+
+// Lines from diffLines(), one per row, marked with + and -.
+export default function RunnerDiff({ lines }) {
+  return (
+    <pre style={{ ...boxedPreStyle, background: "transparent", padding: 0, overflow: "auto" }}>
+      {lines.map((line, index) => {
+        const style = DIFF_STYLES[line.type];
+        return (
+          <div key={index} data-diff={line.type} style={{ background: style.background, color: style.color, padding: "0 6px" }}>
+            {style.prefix}
+            {line.text}
+          </div>
+        );
+      })}
+    </pre>
+  );
+}
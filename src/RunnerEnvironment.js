@@ -0,0 +1,91 @@
+import React from "react";
+import { DATABASE_DSN } from "./phpDatabase";
+import {
+  BUILTIN_EXTENSIONS,
+  describeEnvironment,
+  normalizeExtensions,
+  OPTIONAL_EXTENSIONS,
+} from "./phpEnvironment";
+import { inputStyle, labelStyle } from "./runnerStyles";
+
+// The runner's ini settings and extensions. Settings apply from the next run;
+// turning an extension on or off switches to a worker started with it. A
+// runner's database seed is shown read-only, and keeps sqlite turned on.
+export default function RunnerEnvironment({
+  ini,
+  extensions,
+  unavailable = [],
+  database,
+  onChange,
+  defaultOpen = false,
+}) {
+  const required = database ? ["sqlite"] : [];
+  const toggle = (name) => (e) => {
+    const next = e.target.checked ? [...extensions, name] : extensions.filter((item) => item !== name);
+    onChange({ ini, extensions: normalizeExtensions(next) });
+  };
+
+  return (
+    <details
+      open={defaultOpen}
+      style={{
+        marginTop: 8,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: "6px 10px",
+        fontSize: 13,
+      }}
+    >
+      <summary style={{ cursor: "pointer", color: "#374151" }}>
+        Environment: <code>{describeEnvironment(ini, extensions)}</code>
+      </summary>
+      <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+        <label style={labelStyle}>
+          ini settings, php.ini syntax
+          <textarea
+            value={ini}
+            onChange={(e) => onChange({ ini: e.target.value, extensions })}
+            rows={3}
+            placeholder={"display_errors = 1\nerror_reporting = E_ALL & ~E_NOTICE\ndate.timezone = Europe/Paris"}
+            style={{ ...inputStyle, resize: "vertical" }}
+          />
+        </label>
+        <fieldset style={{ border: "none", margin: 0, padding: 0, display: "grid", gap: 4 }}>
+          <legend style={{ fontSize: 12, color: "#374151", padding: 0, marginBottom: 2 }}>Extensions</legend>
+          {Object.entries(OPTIONAL_EXTENSIONS).map(([name, extension]) => (
+            <label key={name} style={{ display: "flex", gap: 6, alignItems: "baseline", fontSize: 12 }}>
+              <input
+                type="checkbox"
+                checked={extensions.includes(name)}
+                disabled={required.includes(name)}
+                onChange={toggle(name)}
+              />
+              <code>{name}</code>
+              <span style={{ color: "#6b7280" }}>{extension.summary}</span>
+              {required.includes(name) ? <span style={{ color: "#b45309" }}>(needed by the database)</span> : null}
+            </label>
+          ))}
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            Always loaded: {BUILTIN_EXTENSIONS.join(", ")}
+          </div>
+          {unavailable.length ? (
+            <div role="note" style={{ fontSize: 12, color: "#b45309" }}>
+              Not available in the browser: {unavailable.join(", ")}
+            </div>
+          ) : null}
+        </fieldset>
+        {database ? (
+          <div style={labelStyle}>
+            <div>
+              Database, reset before every run: <code>new PDO('{DATABASE_DSN}')</code>
+            </div>
+            <pre style={{ ...inputStyle, margin: 0, whiteSpace: "pre-wrap", maxHeight: 160, overflow: "auto" }}>
+              {[database.schema, database.fixtures].filter(Boolean).join("\n\n")}
+            </pre>
+          </div>
+        ) : null}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import RunnerDiff from "./RunnerDiff";
+import { boxedPreStyle } from "./runnerStyles";
+
+const MATCH_NOTES = {
+  exact: "",
+  whitespace: " (spacing and line breaks are ignored)",
+  regex: " (a pattern the whole output must match)",
+};
+
+function OutputCheck({ output }) {
+  if (output.passed) {
+    return <div style={{ fontSize: 13, color: "#166534" }}>✓ Output matches</div>;
+  }
+
+  return (
+    <div>
+      <div style={{ fontSize: 13, color: "#991b1b", marginBottom: 4 }}>✗ Output does not match</div>
+      {output.diff ? (
+        <>
+          <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 2 }}>- expected · + your output</div>
+          <RunnerDiff lines={output.diff} />
+        </>
+      ) : (
+        <>
+          <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 2 }}>Your output</div>
+          <pre style={boxedPreStyle}>{output.actual || "(no output)"}</pre>
+        </>
+      )}
+    </div>
+  );
+}
+
+// The task panel of an exercise runner: what the output should be, and after
+// a run whether the output and the hidden tests passed.
+export default function RunnerExercise({ exercise, check }) {
+  const { expected, tests } = exercise;
+
+  return (
+    <div
+      role="region"
+      aria-label="Exercise"
+      style={{
+        marginTop: 8,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: 10,
+        display: "grid",
+        gap: 8,
+      }}
+    >
+      {expected ? (
+        <details open={!check || undefined}>
+          <summary style={{ fontSize: 13, fontWeight: 600, cursor: "pointer" }}>
+            Expected output
+            <span style={{ fontWeight: 400, color: "#6b7280" }}>{MATCH_NOTES[expected.match]}</span>
+          </summary>
+          <pre style={{ ...boxedPreStyle, marginTop: 4 }}>{expected.text}</pre>
+        </details>
+      ) : null}
+      {tests ? (
+        <div style={{ fontSize: 12, color: "#6b7280" }}>Hidden tests also run against your code.</div>
+      ) : null}
+
+      {check ? (
+        <div role="status" style={{ display: "grid", gap: 8 }}>
+          <div style={{ fontWeight: 600, color: check.passed ? "#166534" : "#991b1b" }}>
+            {check.passed ? "✓ Passed — well done!" : "✗ Not quite yet"}
+          </div>
+          {check.output ? <OutputCheck output={check.output} /> : null}
+          {check.tests.length ? (
+            <ul style={{ listStyle: "none", margin: 0, padding: 0, fontSize: 13, display: "grid", gap: 2 }}>
+              {check.tests.map((test, index) => (
+                <li key={index} style={{ color: test.passed ? "#166534" : "#991b1b" }}>
+                  {test.passed ? "✓" : "✗"} {test.name}
+                  {test.message ? <span style={{ color: "#374151" }}> — {test.message}</span> : null}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
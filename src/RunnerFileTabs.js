@@ -0,0 +1,60 @@
+import React from "react";
+import { plainButtonStyle } from "./runnerStyles";
+
+const tabStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: 4,
+  padding: "4px 8px",
+  borderRadius: "6px 6px 0 0",
+  border: "1px solid #e5e7eb",
+  borderBottom: "none",
+  fontFamily: "ui-monospace, monospace",
+  fontSize: 12,
+};
+
+export default function RunnerFileTabs({ files, activeFile, entry, onSelect, onAdd, onRemove }) {
+  return (
+    <div role="tablist" aria-label="Files" style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 4 }}>
+      {files.map((file) => {
+        const active = file.name === activeFile;
+        return (
+          <div
+            key={file.name}
+            style={{
+              ...tabStyle,
+              background: active ? "#eff6ff" : "#f9fafb",
+              color: active ? "#1d4ed8" : "#374151",
+            }}
+          >
+            <button
+              role="tab"
+              aria-selected={active}
+              onClick={() => onSelect(file.name)}
+              title={file.name === entry ? "Entry file, run first" : undefined}
+              style={{ ...plainButtonStyle, fontWeight: active ? 600 : 400 }}
+            >
+              {file.name}
+              {file.name === entry ? " ▶" : ""}
+            </button>
+            {file.name !== entry ? (
+              <button
+                onClick={() => onRemove(file.name)}
+                aria-label={`Delete ${file.name}`}
+                style={{ ...plainButtonStyle, color: "#9ca3af" }}
+              >
+                ×
+              </button>
+            ) : null}
+          </div>
+        );
+      })}
+      <button
+        onClick={onAdd}
+        style={{ ...tabStyle, background: "white", color: "#374151", cursor: "pointer" }}
+      >
+        + File
+      </button>
+    </div>
+  );
+}
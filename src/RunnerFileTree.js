@@ -0,0 +1,113 @@
+import React from "react";
+import { plainButtonStyle } from "./runnerStyles";
+
+// Folders first, then files, each sorted by name. `lib/db.php` becomes a
+// `lib` folder holding `db.php`.
+function buildTree(files) {
+  const root = { folders: {}, files: [] };
+  files.forEach((file) => {
+    const parts = file.name.split("/");
+    let node = root;
+    parts.slice(0, -1).forEach((part) => {
+      node.folders[part] = node.folders[part] || { folders: {}, files: [] };
+      node = node.folders[part];
+    });
+    node.files.push({ ...file, label: parts[parts.length - 1] });
+  });
+  return root;
+}
+
+function TreeLevel({ node, depth, activeFile, entry, onSelect, onRemove }) {
+  const indent = { paddingLeft: 8 + depth * 12 };
+  return (
+    <>
+      {Object.keys(node.folders)
+        .sort()
+        .map((name) => (
+          <li key={`folder:${name}`} role="treeitem" aria-expanded="true" aria-selected="false">
+            <div style={{ ...indent, color: "#6b7280", padding: "2px 0" }}>📁 {name}</div>
+            <ul role="group" style={{ listStyle: "none", margin: 0, padding: 0 }}>
+              <TreeLevel
+                node={node.folders[name]}
+                depth={depth + 1}
+                activeFile={activeFile}
+                entry={entry}
+                onSelect={onSelect}
+                onRemove={onRemove}
+              />
+            </ul>
+          </li>
+        ))}
+      {[...node.files]
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .map((file) => {
+          const active = file.name === activeFile;
+          return (
+            <li
+              key={file.name}
+              role="treeitem"
+              aria-selected={active}
+              aria-label={file.name}
+              style={{
+                ...indent,
+                display: "flex",
+                alignItems: "center",
+                gap: 4,
+                paddingTop: 2,
+                paddingBottom: 2,
+                paddingRight: 6,
+                borderRadius: 4,
+                background: active ? "#eff6ff" : "transparent",
+                color: active ? "#1d4ed8" : "#374151",
+                fontWeight: active ? 600 : 400,
+              }}
+            >
+              <button
+                onClick={() => onSelect(file.name)}
+                title={file.name === entry ? "Entry file, run first" : undefined}
+                style={{ ...plainButtonStyle, flex: 1, textAlign: "left", fontWeight: "inherit" }}
+              >
+                {file.label}
+                {file.name === entry ? " ▶" : ""}
+              </button>
+              {file.name !== entry ? (
+                <button
+                  onClick={() => onRemove(file.name)}
+                  aria-label={`Delete ${file.name}`}
+                  style={{ ...plainButtonStyle, color: "#9ca3af" }}
+                >
+                  ×
+                </button>
+              ) : null}
+            </li>
+          );
+        })}
+    </>
+  );
+}
+
+// The playground's file list, with the same props as RunnerFileTabs.
+export default function RunnerFileTree({ files, activeFile, entry, onSelect, onAdd, onRemove }) {
+  return (
+    <div
+      style={{
+        width: 160,
+        flexShrink: 0,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: "6px 0",
+        fontFamily: "ui-monospace, monospace",
+        fontSize: 12,
+        overflow: "auto",
+      }}
+    >
+      <ul role="tree" aria-label="Files" style={{ listStyle: "none", margin: 0, padding: 0 }}>
+        <TreeLevel node={buildTree(files)} depth={0} activeFile={activeFile} entry={entry} onSelect={onSelect} onRemove={onRemove} />
+      </ul>
+      <button onClick={onAdd} style={{ ...plainButtonStyle, padding: "4px 8px", color: "#2563eb" }}>
+        + File
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { diffFiles } from "./lineDiff";
+import RunnerDiff from "./RunnerDiff";
+import { boxedPreStyle, smallButtonStyle } from "./runnerStyles";
+
+const STATUS_COLORS = {
+  success: "#16a34a",
+  error: "#dc2626",
+  timeout: "#d97706",
+};
+
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+function SnapshotDiff({ original, snapshot }) {
+  const files = diffFiles(original, snapshot.files);
+  if (files.length === 0) {
+    return <div style={{ fontSize: 12, color: "#6b7280" }}>Same as the original example.</div>;
+  }
+
+  return files.map((file) => (
+    <div key={file.name} style={{ marginBottom: 8 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 2 }}>
+        {file.name}
+        {file.status === "added" ? " (new file)" : file.status === "deleted" ? " (deleted)" : ""}
+      </div>
+      <RunnerDiff lines={file.lines} />
+    </div>
+  ));
+}
+
+// Snapshots taken after each run, newest first.
+export default function RunnerHistory({ snapshots, original, onRestore, onClear, onClose }) {
+  const [selectedId, setSelectedId] = useState(snapshots.length ? snapshots[0].id : null);
+  const [view, setView] = useState("output");
+  const selected = snapshots.find((snapshot) => snapshot.id === selectedId) || snapshots[0];
+
+  return (
+    <div
+      role="region"
+      aria-label="Run history"
+      style={{
+        marginTop: 8,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 600, fontSize: 13 }}>History</div>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 4 }}>
+          {snapshots.length ? (
+            <button onClick={onClear} style={smallButtonStyle}>
+              Clear history
+            </button>
+          ) : null}
+          <button onClick={onClose} style={smallButtonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {!selected ? (
+        <div style={{ fontSize: 13, color: "#6b7280" }}>Run the code to save a snapshot here.</div>
+      ) : (
+        <div style={{ display: "flex", gap: 10, alignItems: "flex-start" }}>
+          <ul style={{ listStyle: "none", margin: 0, padding: 0, width: 170, flexShrink: 0, display: "grid", gap: 2 }}>
+            {snapshots.map((snapshot, index) => (
+              <li key={snapshot.id}>
+                <button
+                  onClick={() => setSelectedId(snapshot.id)}
+                  aria-pressed={snapshot.id === selected.id}
+                  style={{
+                    width: "100%",
+                    textAlign: "left",
+                    padding: "4px 6px",
+                    borderRadius: 6,
+                    border: "1px solid #e5e7eb",
+                    background: snapshot.id === selected.id ? "#eff6ff" : "white",
+                    fontSize: 12,
+                    cursor: "pointer",
+                  }}
+                >
+                  <span style={{ color: STATUS_COLORS[snapshot.status] }}>●</span> Run {snapshots.length - index}
+                  <span style={{ color: "#6b7280" }}> · {formatTime(snapshot.time)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ display: "flex", gap: 4, marginBottom: 6 }}>
+              {[
+                ["output", "Output"],
+                ["diff", "Diff vs original"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setView(value)}
+                  aria-pressed={view === value}
+                  style={{
+                    ...smallButtonStyle,
+                    background: view === value ? "#eff6ff" : "white",
+                    color: view === value ? "#1d4ed8" : "#374151",
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+              <button
+                onClick={() => onRestore(selected)}
+                style={{ ...smallButtonStyle, marginLeft: "auto", background: "#2563eb", color: "white", border: "none" }}
+              >
+                Restore this version
+              </button>
+            </div>
+            {view === "output" ? (
+              <pre style={boxedPreStyle}>
+                {selected.output || "(no output)"}
+              </pre>
+            ) : (
+              <SnapshotDiff original={original} snapshot={selected} />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import { withBrowserScript } from "./phpBrowser";
+import { SEVERITY_LABELS } from "./phpDiagnostics";
+import RunnerTables from "./RunnerTables";
+import { preStyle, smallButtonStyle } from "./runnerStyles";
+
+const SEVERITY_COLORS = {
+  fatal: { color: "#b91c1c", background: "#fef2f2", border: "#fecaca" },
+  parse: { color: "#b91c1c", background: "#fef2f2", border: "#fecaca" },
+  warning: { color: "#b45309", background: "#fffbeb", border: "#fde68a" },
+  notice: { color: "#1d4ed8", background: "#eff6ff", border: "#bfdbfe" },
+  deprecated: { color: "#4b5563", background: "#f9fafb", border: "#e5e7eb" },
+};
+
+const channelTitleStyle = { fontWeight: 600, fontSize: 13, marginBottom: 4 };
+
+export default function RunnerOutput({
+  output,
+  isHtmlOutput,
+  outputMode,
+  iframeRef,
+  stderr,
+  diagnostics,
+  writtenFiles,
+  tables,
+  browserBar,
+  showFileNames,
+  status,
+  onJumpToLine,
+}) {
+  const [htmlView, setHtmlView] = useState("rendered");
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        background: "white",
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        padding: 10,
+        minHeight: 80,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 6 }}>
+        <div style={{ fontWeight: 600 }}>Output</div>
+        {isHtmlOutput && outputMode !== "both" ? (
+          <div role="group" aria-label="Output view" style={{ marginLeft: "auto", display: "flex", gap: 4 }}>
+            {[
+              ["rendered", "Rendered"],
+              ["source", "Source"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setHtmlView(value)}
+                aria-pressed={htmlView === value}
+                style={{
+                  ...smallButtonStyle,
+                  background: htmlView === value ? "#eff6ff" : "white",
+                  color: htmlView === value ? "#1d4ed8" : "#374151",
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        ) : null}
+      </div>
+      {browserBar}
+      {isHtmlOutput && (outputMode === "both" || htmlView === "rendered") ? (
+        <iframe
+          ref={iframeRef}
+          title="php-preview"
+          // In the mini-browser (`browserBar`) a script in the page catches
+          // link clicks and form submits; without allow-forms the sandbox
+          // would block submits before the script sees them.
+          sandbox={browserBar ? "allow-scripts allow-forms" : "allow-scripts"}
+          style={{
+            width: "100%",
+            minHeight: 180,
+            border: "1px solid #e5e7eb",
+            borderRadius: 6,
+          }}
+          srcDoc={browserBar ? withBrowserScript(output) : output}
+        />
+      ) : null}
+      {!isHtmlOutput || outputMode === "both" || htmlView === "source" ? (
+        <pre style={{ ...preStyle, marginTop: isHtmlOutput && outputMode === "both" ? 8 : 0 }}>
+          {output || (status === "idle" ? "Ready to execute PHP code..." : "")}
+        </pre>
+      ) : null}
+
+      {stderr ? (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ ...channelTitleStyle, color: "#b91c1c" }}>stderr</div>
+          <pre
+            style={{
+              ...preStyle,
+              color: "#991b1b",
+              background: "#fef2f2",
+              border: "1px solid #fecaca",
+              borderRadius: 6,
+              padding: 8,
+            }}
+          >
+            {stderr}
+          </pre>
+        </div>
+      ) : null}
+
+      {diagnostics && diagnostics.length > 0 ? (
+        <div style={{ marginTop: 10 }}>
+          <div style={channelTitleStyle}>Diagnostics</div>
+          <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 4 }}>
+            {diagnostics.map((diagnostic, index) => {
+              const colors = SEVERITY_COLORS[diagnostic.severity] || SEVERITY_COLORS.warning;
+              return (
+                <li key={index}>
+                  <button
+                    onClick={() => onJumpToLine(diagnostic.line, diagnostic.file)}
+                    disabled={!diagnostic.line}
+                    title={diagnostic.line ? `Go to line ${diagnostic.line}` : undefined}
+                    style={{
+                      width: "100%",
+                      textAlign: "left",
+                      padding: "6px 8px",
+                      borderRadius: 6,
+                      border: `1px solid ${colors.border}`,
+                      background: colors.background,
+                      color: colors.color,
+                      fontFamily: "ui-monospace, monospace",
+                      fontSize: 13,
+                      cursor: diagnostic.line ? "pointer" : "default",
+                    }}
+                  >
+                    <strong>{SEVERITY_LABELS[diagnostic.severity]}:</strong> {diagnostic.message}
+                    {showFileNames && diagnostic.file ? ` in ${diagnostic.file}` : ""}
+                    {diagnostic.line ? ` on line ${diagnostic.line}` : ""}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ) : null}
+
+      {writtenFiles && writtenFiles.length > 0 ? (
+        <div style={{ marginTop: 10 }}>
+          <div style={channelTitleStyle}>Files written</div>
+          {writtenFiles.map((file) => (
+            <details key={file.name} style={{ marginBottom: 4 }}>
+              <summary style={{ cursor: "pointer", fontFamily: "ui-monospace, monospace", fontSize: 13 }}>
+                {file.name}
+              </summary>
+              <pre
+                style={{
+                  ...preStyle,
+                  background: "#f9fafb",
+                  border: "1px solid #e5e7eb",
+                  borderRadius: 6,
+                  padding: 8,
+                  marginTop: 4,
+                }}
+              >
+                {file.code}
+              </pre>
+            </details>
+          ))}
+        </div>
+      ) : null}
+
+      {tables ? <RunnerTables tables={tables} /> : null}
+    </div>
+  );
+}
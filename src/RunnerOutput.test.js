@@ -0,0 +1,39 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import RunnerOutput from './RunnerOutput';
+
+const html = '<h1>Hello</h1>';
+
+function renderOutput(props) {
+  return render(
+    <RunnerOutput
+      output={html}
+      isHtmlOutput
+      outputMode="auto"
+      stderr=""
+      diagnostics={[]}
+      writtenFiles={[]}
+      status="idle"
+      onJumpToLine={() => {}}
+      {...props}
+    />
+  );
+}
+
+test('switches HTML output between the rendered page and its source', () => {
+  renderOutput();
+  expect(screen.getByTitle('php-preview')).toHaveAttribute('srcdoc', html);
+  expect(screen.queryByText(html)).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Rendered' })).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Source' }));
+  expect(screen.queryByTitle('php-preview')).not.toBeInTheDocument();
+  expect(screen.getByText(html)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Source' })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('shows the page and its source together in "both" mode, without the toggle', () => {
+  renderOutput({ outputMode: 'both' });
+  expect(screen.getByTitle('php-preview')).toBeInTheDocument();
+  expect(screen.getByText(html)).toBeInTheDocument();
+  expect(screen.queryByRole('group', { name: 'Output view' })).not.toBeInTheDocument();
+});
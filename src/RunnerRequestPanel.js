@@ -0,0 +1,94 @@
+import React from "react";
+import { describeRequest, HTTP_METHODS } from "./phpRequest";
+import { inputStyle, labelStyle } from "./runnerStyles";
+
+// `onStatefulChange` adds a switch for keeping cookies and the session between
+// runs (see phpResponse.js).
+export default function RunnerRequestPanel({
+  request,
+  entry,
+  onChange,
+  stateful = false,
+  onStatefulChange,
+  defaultOpen = false,
+}) {
+  const update = (field) => (e) => onChange({ ...request, [field]: e.target.value });
+  const hasBody = request.method !== "GET";
+
+  return (
+    <details
+      open={defaultOpen}
+      style={{
+        marginTop: 8,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: "6px 10px",
+        fontSize: 13,
+      }}
+    >
+      <summary style={{ cursor: "pointer", color: "#374151" }}>
+        Request: <code>{describeRequest(request, entry)}</code>
+      </summary>
+      <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+        <div style={{ display: "flex", gap: 8 }}>
+          <label style={labelStyle}>
+            Method
+            <select value={request.method} onChange={update("method")} style={inputStyle}>
+              {HTTP_METHODS.map((method) => (
+                <option key={method} value={method}>
+                  {method}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={{ ...labelStyle, flex: 1 }}>
+            Query string ($_GET)
+            <input
+              value={request.query}
+              onChange={update("query")}
+              placeholder="user=alice&page=2"
+              style={inputStyle}
+            />
+          </label>
+        </div>
+        <label style={labelStyle}>
+          Form body ($_POST{hasBody ? "" : ", not sent with GET"})
+          <textarea
+            value={request.body}
+            onChange={update("body")}
+            disabled={!hasBody}
+            rows={2}
+            placeholder="name=Alice&email=alice%40example.com"
+            style={{ ...inputStyle, resize: "vertical", opacity: hasBody ? 1 : 0.6 }}
+          />
+        </label>
+        <label style={labelStyle}>
+          Headers, one per line ($_SERVER['HTTP_*'])
+          <textarea
+            value={request.headers}
+            onChange={update("headers")}
+            rows={2}
+            placeholder="User-Agent: Mozilla/5.0"
+            style={{ ...inputStyle, resize: "vertical" }}
+          />
+        </label>
+        <label style={labelStyle}>
+          Cookies ($_COOKIE)
+          <input
+            value={request.cookies}
+            onChange={update("cookies")}
+            placeholder="theme=dark; lang=en"
+            style={inputStyle}
+          />
+        </label>
+        {onStatefulChange ? (
+          <label style={{ display: "flex", gap: 6, alignItems: "baseline", fontSize: 12, color: "#374151" }}>
+            <input type="checkbox" checked={stateful} onChange={(e) => onStatefulChange(e.target.checked)} />
+            Keep cookies and session between runs
+          </label>
+        ) : null}
+      </div>
+    </details>
+  );
+}
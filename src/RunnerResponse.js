@@ -0,0 +1,101 @@
+import React from "react";
+import { describeStatus, parseSetCookie } from "./phpResponse";
+import { smallButtonStyle } from "./runnerStyles";
+
+const listStyle = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  fontFamily: "ui-monospace, monospace",
+  fontSize: 12,
+  display: "grid",
+  gap: 2,
+};
+
+function statusColor(status) {
+  if (status >= 400) return "#b91c1c";
+  if (status >= 300) return "#b45309";
+  return "#16a34a";
+}
+
+// A stateful runner's last response and the cookies it will send next time.
+// Resetting forgets the cookies, so the next run starts a new session.
+export default function RunnerResponse({ response, cookieJar, onReset }) {
+  const headers = response ? response.headers.filter((header) => header.name.toLowerCase() !== "set-cookie") : [];
+  const setCookies = response
+    ? response.headers.filter((header) => header.name.toLowerCase() === "set-cookie").map((header) => header.value)
+    : [];
+  const location = headers.find((header) => header.name.toLowerCase() === "location");
+  const kept = Object.entries(cookieJar);
+
+  return (
+    <div
+      role="region"
+      aria-label="HTTP response"
+      style={{
+        marginTop: 8,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: 10,
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+        <div style={{ fontWeight: 600 }}>Response</div>
+        {response ? (
+          <code style={{ color: statusColor(response.status), fontWeight: 600 }}>{describeStatus(response.status)}</code>
+        ) : null}
+        <button onClick={onReset} style={{ ...smallButtonStyle, marginLeft: "auto" }}>
+          Reset session
+        </button>
+      </div>
+
+      {response ? (
+        <div style={{ display: "grid", gap: 6 }}>
+          {location ? (
+            <div style={{ fontSize: 12, color: "#b45309" }}>
+              Redirects to <code>{location.value}</code>
+            </div>
+          ) : null}
+          <ul aria-label="Response headers" style={listStyle}>
+            {headers.map((header, index) => (
+              <li key={index}>
+                <strong>{header.name}:</strong> {header.value}
+              </li>
+            ))}
+          </ul>
+          {setCookies.length ? (
+            <div>
+              <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 2 }}>Set-Cookie</div>
+              <ul aria-label="Cookies set" style={listStyle}>
+                {setCookies.map((value, index) => {
+                  const cookie = parseSetCookie(value);
+                  return (
+                    <li key={index} title={value}>
+                      {cookie.name}={cookie.value}
+                      {Object.keys(cookie.attributes).length ? (
+                        <span style={{ color: "#6b7280" }}>
+                          {Object.entries(cookie.attributes)
+                            .map(([name, attribute]) => (attribute === true ? `; ${name}` : `; ${name}=${attribute}`))
+                            .join("")}
+                        </span>
+                      ) : null}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ) : null}
+        </div>
+      ) : (
+        <div style={{ fontSize: 12, color: "#6b7280" }}>Run the script to see its status code and headers.</div>
+      )}
+
+      <div style={{ fontSize: 12, color: "#374151", marginTop: 6 }}>
+        Cookies sent with the next run:{" "}
+        {kept.length ? <code>{kept.map(([name, value]) => `${name}=${value}`).join("; ")}</code> : "none"}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useRef, useState } from "react";
+
+const MIN_PERCENT = 20;
+const MAX_PERCENT = 80;
+const KEY_STEP = 5;
+
+const clamp = (value) => Math.min(MAX_PERCENT, Math.max(MIN_PERCENT, value));
+
+// Two panes side by side with a draggable divider. The divider can also be
+// moved with the arrow keys once focused.
+export default function RunnerSplitPane({ left, right, initialPercent = 50 }) {
+  const [percent, setPercent] = useState(initialPercent);
+  const containerRef = useRef(null);
+
+  const onPointerDown = (e) => {
+    e.preventDefault();
+    const container = containerRef.current;
+    if (!container) return;
+    const divider = e.currentTarget;
+    if (divider.setPointerCapture) divider.setPointerCapture(e.pointerId);
+
+    const onMove = (event) => {
+      const rect = container.getBoundingClientRect();
+      if (rect.width > 0) setPercent(clamp(((event.clientX - rect.left) / rect.width) * 100));
+    };
+    const onUp = () => {
+      divider.removeEventListener("pointermove", onMove);
+      divider.removeEventListener("pointerup", onUp);
+    };
+    divider.addEventListener("pointermove", onMove);
+    divider.addEventListener("pointerup", onUp);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowLeft") setPercent((current) => clamp(current - KEY_STEP));
+    else if (e.key === "ArrowRight") setPercent((current) => clamp(current + KEY_STEP));
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    <div ref={containerRef} style={{ display: "flex", marginTop: 8, height: "calc(100vh - 170px)", minHeight: 320 }}>
+      <div style={{ width: `${percent}%`, overflow: "auto", paddingRight: 4 }}>{left}</div>
+      <div
+        role="separator"
+        aria-label="Resize editor and output"
+        aria-orientation="vertical"
+        aria-valuemin={MIN_PERCENT}
+        aria-valuemax={MAX_PERCENT}
+        aria-valuenow={Math.round(percent)}
+        tabIndex={0}
+        onPointerDown={onPointerDown}
+        onKeyDown={onKeyDown}
+        style={{
+          width: 8,
+          flexShrink: 0,
+          cursor: "col-resize",
+          background: "linear-gradient(to right, transparent 3px, #e5e7eb 3px, #e5e7eb 5px, transparent 5px)",
+          touchAction: "none",
+        }}
+      />
+      <div style={{ flex: 1, minWidth: 0, overflow: "auto", paddingLeft: 4 }}>{right}</div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { DATABASE_PATH } from "./phpDatabase";
+
+const cellStyle = {
+  padding: "3px 8px",
+  borderBottom: "1px solid #e5e7eb",
+  textAlign: "left",
+  whiteSpace: "nowrap",
+  fontFamily: "ui-monospace, monospace",
+  fontSize: 12,
+};
+
+function formatValue(value) {
+  if (value === null) return <span style={{ color: "#9ca3af" }}>NULL</span>;
+  return String(value);
+}
+
+// The database after the run, one table at a time.
+export default function RunnerTables({ tables }) {
+  const [selected, setSelected] = useState(null);
+  const table = tables.find((item) => item.name === selected) || tables[0];
+
+  return (
+    <div style={{ marginTop: 10 }} role="region" aria-label="Database tables">
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+        <div style={{ fontWeight: 600, fontSize: 13 }}>Database</div>
+        <code style={{ fontSize: 12, color: "#6b7280" }}>{DATABASE_PATH}</code>
+        {tables.length > 1 ? (
+          <select
+            aria-label="Table"
+            value={table.name}
+            onChange={(e) => setSelected(e.target.value)}
+            style={{ marginLeft: "auto", fontSize: 12, padding: "2px 4px", borderRadius: 6, border: "1px solid #e5e7eb" }}
+          >
+            {tables.map((item) => (
+              <option key={item.name} value={item.name}>
+                {item.name} ({item.count})
+              </option>
+            ))}
+          </select>
+        ) : null}
+      </div>
+      {table ? (
+        <div style={{ overflowX: "auto", border: "1px solid #e5e7eb", borderRadius: 6 }}>
+          <table style={{ borderCollapse: "collapse", width: "100%" }}>
+            <caption style={{ textAlign: "left", padding: "4px 8px", fontSize: 12, color: "#374151" }}>
+              {table.name}: {table.count} {table.count === 1 ? "row" : "rows"}
+              {table.count > table.rows.length ? `, first ${table.rows.length} shown` : ""}
+            </caption>
+            <thead style={{ background: "#f9fafb" }}>
+              <tr>
+                {table.columns.map((column) => (
+                  <th key={column} style={cellStyle}>
+                    {column}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.rows.map((row, index) => (
+                <tr key={index}>
+                  {row.map((value, column) => (
+                    <td key={column} style={cellStyle}>
+                      {formatValue(value)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div style={{ fontSize: 12, color: "#6b7280" }}>No tables</div>
+      )}
+    </div>
+  );
+}
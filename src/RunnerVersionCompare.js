@@ -0,0 +1,84 @@
+import React from "react";
+import { diffLines } from "./lineDiff";
+import RunnerDiff from "./RunnerDiff";
+import { boxedPreStyle, smallButtonStyle } from "./runnerStyles";
+
+// What a version printed, with the fatal error (if any) as the last line, so
+// a parse error on an older version shows up in the comparison.
+function resultText({ output = "", problem }) {
+  if (!problem) return output;
+  return output && !output.endsWith("\n") ? `${output}\n${problem}` : `${output}${problem}`;
+}
+
+// Finished versions grouped by identical output, in version order.
+function groupResults(results) {
+  const groups = [];
+  results
+    .filter((result) => !result.pending)
+    .forEach((result) => {
+      const text = resultText(result);
+      const group = groups.find((item) => item.text === text);
+      if (group) group.versions.push(result.version);
+      else groups.push({ text, versions: [result.version] });
+    });
+  return groups;
+}
+
+// The runner's code run once on every PHP version, each group of versions
+// with the same output compared with the selected version.
+export default function RunnerVersionCompare({ results, baseline, onClose }) {
+  const groups = groupResults(results);
+  const pending = results.filter((result) => result.pending);
+  const baselineGroup = groups.find((group) => group.versions.includes(baseline));
+
+  return (
+    <div
+      role="region"
+      aria-label="Output on every PHP version"
+      style={{
+        marginTop: 8,
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f9fafb",
+        padding: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 600, fontSize: 13 }}>Output by PHP version</div>
+        {pending.length === 0 && groups.length === 1 ? (
+          <div style={{ fontSize: 12, color: "#16a34a" }}>Same output on every version</div>
+        ) : null}
+        <button onClick={onClose} style={{ ...smallButtonStyle, marginLeft: "auto" }}>
+          Close
+        </button>
+      </div>
+
+      {groups.map((group) => {
+        const isBaseline = group === baselineGroup;
+        return (
+          <div key={group.versions.join(",")} style={{ marginBottom: 8 }}>
+            <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 2 }}>
+              PHP {group.versions.join(", ")}
+              {isBaseline ? (
+                <span style={{ fontWeight: 400, color: "#6b7280" }}> (selected version)</span>
+              ) : baselineGroup ? (
+                <span style={{ fontWeight: 400, color: "#b45309" }}> — differs from PHP {baseline}</span>
+              ) : null}
+            </div>
+            {isBaseline || !baselineGroup ? (
+              <pre style={boxedPreStyle}>{group.text || "(no output)"}</pre>
+            ) : (
+              <RunnerDiff lines={diffLines(baselineGroup.text, group.text)} />
+            )}
+          </div>
+        );
+      })}
+
+      {pending.length ? (
+        <div style={{ fontSize: 12, color: "#6b7280" }}>
+          Running on PHP {pending.map((result) => result.version).join(", ")}…
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+
+const MAX_SHOWN = 20;
+const KIND_LABELS = { title: "Section", text: "Text", code: "Code" };
+
+// The header search field with a dropdown of matches. Arrow keys move through
+// the results, Enter opens one and Escape closes the dropdown.
+export default function SearchBox({ query, onQueryChange, results, onSelect }) {
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const shown = results.slice(0, MAX_SHOWN);
+  const expanded = open && query.trim() !== "";
+
+  const choose = (result) => {
+    setOpen(false);
+    onSelect(result);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setOpen(false);
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!shown.length) return;
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setHighlighted((current) => (current + step + shown.length) % shown.length);
+    } else if (e.key === "Enter" && expanded && shown[highlighted]) {
+      e.preventDefault();
+      choose(shown[highlighted]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        value={query}
+        onChange={(e) => {
+          onQueryChange(e.target.value);
+          setHighlighted(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        placeholder="Search..."
+        role="combobox"
+        aria-label="Search the notes"
+        aria-expanded={expanded}
+        aria-controls="search-results"
+        aria-activedescendant={expanded && shown[highlighted] ? `search-result-${highlighted}` : undefined}
+        className="px-3 py-2 border rounded-md text-sm w-64 bg-gray-50"
+      />
+      {expanded ? (
+        <ul
+          id="search-results"
+          role="listbox"
+          aria-label="Search results"
+          className="absolute right-0 mt-1 w-[28rem] max-h-[70vh] overflow-auto bg-white border rounded-md shadow-lg z-30"
+        >
+          {shown.length === 0 ? <li className="p-3 text-sm text-gray-500">No matches</li> : null}
+          {shown.map((result, index) => (
+            <li
+              key={`${result.sectionId}-${result.kind}-${result.block}`}
+              id={`search-result-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              // Keeps the input focused so the click lands before the blur
+              // closes the list.
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(result)}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-3 py-2 cursor-pointer border-b last:border-b-0 ${index === highlighted ? "bg-blue-50" : ""}`}
+            >
+              <div className="flex items-center gap-2 text-xs text-gray-500">
+                <span className="font-medium text-gray-700">{result.sectionTitle}</span>
+                <span className="px-1 rounded bg-gray-100">{KIND_LABELS[result.kind]}</span>
+              </div>
+              <div className={`text-sm mt-1 ${result.kind === "code" ? "font-mono text-xs" : ""}`}>
+                {result.snippet.map((part, partIndex) =>
+                  part.match ? (
+                    <mark key={partIndex} className="bg-yellow-200">
+                      {part.text}
+                    </mark>
+                  ) : (
+                    <React.Fragment key={partIndex}>{part.text}</React.Fragment>
+                  )
+                )}
+              </div>
+            </li>
+          ))}
+          {results.length > shown.length ? (
+            <li className="p-2 text-xs text-gray-500">{results.length - shown.length} more matches — refine the search</li>
+          ) : null}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
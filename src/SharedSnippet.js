@@ -0,0 +1,47 @@
+import React, { useMemo } from "react";
+import { DEFAULT_SECTION, sectionHash } from "./hashRoute";
+import LiveCodeRunner from "./LiveCodeRunner";
+import { DEFAULT_ENTRY } from "./phpFiles";
+import { decodeShare } from "./shareLink";
+
+// Full-page runner for a `#share/<data>` link. Edits are not saved: the link
+// itself is the copy.
+export default function SharedSnippet({ data, onOpenInPlayground }) {
+  const snippet = useMemo(() => decodeShare(data), [data]);
+  const singleFile = snippet && snippet.files.length === 1 && snippet.files[0].name === DEFAULT_ENTRY;
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-800">
+      <header className="flex items-center gap-4 px-6 py-4 bg-white shadow-sm sticky top-0 z-20">
+        <a href={sectionHash(DEFAULT_SECTION)} className="p-2 rounded-md hover:bg-gray-100 text-sm">
+          ← Notes
+        </a>
+        <h1 className="text-xl font-semibold">Shared PHP snippet</h1>
+      </header>
+
+      <main className="p-8 max-w-[1100px] mx-auto">
+        {snippet ? (
+          <div className="bg-white border rounded-md p-5 shadow-sm">
+            <LiveCodeRunner
+              key={data}
+              code={singleFile ? snippet.files[0].code : undefined}
+              files={singleFile ? undefined : snippet.files}
+              entry={snippet.entry}
+              request={snippet.request}
+              outputMode={snippet.outputMode}
+              phpVersion={snippet.phpVersion}
+              ini={snippet.ini}
+              extensions={snippet.extensions}
+              database={snippet.database}
+              stateful={snippet.stateful}
+              browser={snippet.browser}
+              onOpenInPlayground={onOpenInPlayground && ((source) => onOpenInPlayground("Shared snippet", source))}
+            />
+          </div>
+        ) : (
+          <p className="text-gray-600">This share link is incomplete or damaged. Ask for the link again, or copy the whole address.</p>
+        )}
+      </main>
+    </div>
+  );
+}
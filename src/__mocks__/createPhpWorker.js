@@ -0,0 +1,34 @@
+// Stub engine for Jest: answers `init` straight away and records `run`
+// messages so tests can reply with whatever output they need.
+export class StubPhpWorker {
+  static instances = [];
+
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+    StubPhpWorker.instances.push(this);
+  }
+
+  postMessage(msg) {
+    this.posted.push(msg);
+    if (msg.type === "init") {
+      setTimeout(() => this.reply({ type: "ready" }), 0);
+    }
+  }
+
+  runs() {
+    return this.posted.filter((msg) => msg.type === "run");
+  }
+
+  reply(data) {
+    if (!this.terminated && this.onmessage) this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+export default function createPhpWorker() {
+  return new StubPhpWorker();
+}
@@ -0,0 +1,6 @@
+// Kept in its own module so webpack can bundle php.worker.js as a separate
+// entry, and so Jest can swap in src/__mocks__/createPhpWorker.js (Jest cannot
+// parse `import.meta`).
+export default function createPhpWorker() {
+  return new Worker(new URL("./php.worker.js", import.meta.url), { type: "module" });
+}
@@ -0,0 +1,86 @@
+// Autocomplete and hover docs for PHP built-ins, from the offline catalogue
+// in phpBuiltins.js.
+import { autocompletion } from "@codemirror/autocomplete";
+import { EditorView, hoverTooltip } from "@codemirror/view";
+import { sectionHash } from "./hashRoute";
+import { lookupBuiltin, PHP_BUILTINS } from "./phpBuiltins";
+
+const WORD = /[A-Za-z_][A-Za-z0-9_]*/g;
+
+// `$strlen`, `$obj->count()` and `Foo::sort()` are not the built-ins.
+function isMemberOrVariable(text, from) {
+  return /(\$|->|::)$/.test(text.slice(Math.max(0, from - 2), from));
+}
+
+export function builtinDoc(builtin) {
+  const dom = document.createElement("div");
+  dom.className = "cm-builtin-doc";
+
+  const signature = document.createElement("code");
+  signature.textContent = builtin.signature;
+  dom.appendChild(signature);
+
+  const summary = document.createElement("p");
+  summary.textContent = builtin.summary;
+  dom.appendChild(summary);
+
+  if (builtin.section) {
+    const link = document.createElement("a");
+    link.href = sectionHash(builtin.section, builtin.anchor);
+    link.textContent = "Read about it in the notes →";
+    dom.appendChild(link);
+  }
+  return dom;
+}
+
+export function builtinCompletions(context) {
+  const word = context.matchBefore(/[A-Za-z_][A-Za-z0-9_]*/);
+  if (!word || (word.from === word.to && !context.explicit)) return null;
+  const line = context.state.doc.lineAt(word.from);
+  if (isMemberOrVariable(line.text, word.from - line.from)) return null;
+
+  return {
+    from: word.from,
+    options: PHP_BUILTINS.map((builtin) => ({
+      label: builtin.name,
+      type: builtin.signature.startsWith(`${builtin.name}(`) ? "function" : "keyword",
+      detail: builtin.signature.slice(builtin.name.length),
+      info: () => builtinDoc(builtin),
+    })),
+    validFor: /^[A-Za-z0-9_]*$/,
+  };
+}
+
+// The built-in under `pos`, with its range in the document.
+export function builtinAt(doc, pos) {
+  const line = doc.lineAt(pos);
+  const column = pos - line.from;
+  for (const match of line.text.matchAll(WORD)) {
+    const end = match.index + match[0].length;
+    if (column < match.index || column > end) continue;
+    if (isMemberOrVariable(line.text, match.index)) return null;
+    const builtin = lookupBuiltin(match[0]);
+    return builtin ? { builtin, from: line.from + match.index, to: line.from + end } : null;
+  }
+  return null;
+}
+
+const builtinHover = hoverTooltip((view, pos) => {
+  const found = builtinAt(view.state.doc, pos);
+  if (!found) return null;
+  return {
+    pos: found.from,
+    end: found.to,
+    above: true,
+    create: () => ({ dom: builtinDoc(found.builtin) }),
+  };
+});
+
+const builtinTheme = EditorView.baseTheme({
+  ".cm-builtin-doc": { maxWidth: "420px", padding: "6px 8px", fontSize: "12px", lineHeight: "1.4" },
+  ".cm-builtin-doc code": { display: "block", whiteSpace: "pre-wrap", color: "#1e3a8a" },
+  ".cm-builtin-doc p": { margin: "4px 0" },
+  ".cm-builtin-doc a": { color: "#2563eb" },
+});
+
+export const builtinHelp = [autocompletion({ override: [builtinCompletions] }), builtinHover, builtinTheme];
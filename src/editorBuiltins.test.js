@@ -0,0 +1,35 @@
+import { CompletionContext } from '@codemirror/autocomplete';
+import { EditorState } from '@codemirror/state';
+import { builtinAt, builtinCompletions, builtinDoc } from './editorBuiltins';
+
+function complete(doc) {
+  const state = EditorState.create({ doc });
+  return builtinCompletions(new CompletionContext(state, doc.length, false));
+}
+
+test('completes built-in names with their signature', () => {
+  const result = complete('<?php\necho str_re');
+  expect(result.from).toBe('<?php\necho '.length);
+  const option = result.options.find((item) => item.label === 'str_replace');
+  expect(option).toMatchObject({ type: 'function', detail: expect.stringMatching(/^\(array\|string \$search/) });
+});
+
+test('does not complete variables, methods or static calls', () => {
+  expect(complete('<?php $str')).toBeNull();
+  expect(complete('<?php $list->cou')).toBeNull();
+  expect(complete('<?php Str::rep')).toBeNull();
+});
+
+test('finds the built-in under the pointer, in any case', () => {
+  const doc = EditorState.create({ doc: '<?php echo STRLEN($s) + $strlen;' }).doc;
+  expect(builtinAt(doc, 13)).toMatchObject({ builtin: { name: 'strlen' }, from: 11, to: 17 });
+  expect(builtinAt(doc, 27)).toBeNull();
+  expect(builtinAt(doc, 19)).toBeNull();
+});
+
+test('documents a built-in with a link to its notes', () => {
+  const dom = builtinDoc({ name: 'strlen', signature: 'strlen(string $string): int', summary: 'Length.', section: 'Strings', anchor: 'common-functions' });
+  expect(dom).toHaveTextContent('strlen(string $string): int');
+  expect(dom).toHaveTextContent('Length.');
+  expect(dom.querySelector('a')).toHaveAttribute('href', '#Strings/common-functions');
+});
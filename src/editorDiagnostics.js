@@ -0,0 +1,87 @@
+// Diagnostic markers in the editor gutter: one dot per line with the most
+// severe diagnostic's colour, and every message for that line in its title.
+import { RangeSet, StateEffect, StateField } from "@codemirror/state";
+import { GutterMarker, gutter } from "@codemirror/view";
+import { SEVERITY_LABELS } from "./phpDiagnostics";
+
+const SEVERITY_RANK = { parse: 4, fatal: 4, warning: 3, notice: 2, deprecated: 1 };
+
+const MARKER_COLORS = {
+  fatal: { color: "#b91c1c", background: "#fee2e2" },
+  parse: { color: "#b91c1c", background: "#fee2e2" },
+  warning: { color: "#b45309", background: "#fef3c7" },
+  notice: { color: "#1d4ed8", background: "#dbeafe" },
+  deprecated: { color: "#4b5563", background: "#e5e7eb" },
+};
+
+// Groups diagnostics by line and keeps the most severe one for the colour.
+export function markersByLine(diagnostics) {
+  const markers = new Map();
+  diagnostics.forEach((diagnostic) => {
+    if (!diagnostic.line) return;
+    const marker = markers.get(diagnostic.line) || { severity: diagnostic.severity, messages: [] };
+    if (SEVERITY_RANK[diagnostic.severity] > SEVERITY_RANK[marker.severity]) {
+      marker.severity = diagnostic.severity;
+    }
+    marker.messages.push(`${SEVERITY_LABELS[diagnostic.severity]}: ${diagnostic.message}`);
+    markers.set(diagnostic.line, marker);
+  });
+  return markers;
+}
+
+class DiagnosticMarker extends GutterMarker {
+  constructor(line, marker) {
+    super();
+    this.line = line;
+    this.marker = marker;
+  }
+
+  eq(other) {
+    return other.line === this.line && other.marker.messages.join("\n") === this.marker.messages.join("\n");
+  }
+
+  toDOM() {
+    const colors = MARKER_COLORS[this.marker.severity];
+    const dot = document.createElement("span");
+    dot.textContent = "●";
+    dot.title = this.marker.messages.join("\n");
+    dot.setAttribute("aria-label", `Line ${this.line}: ${this.marker.messages.join("; ")}`);
+    dot.setAttribute("data-severity", this.marker.severity);
+    Object.assign(dot.style, {
+      display: "block",
+      padding: "0 4px",
+      color: colors.color,
+      background: colors.background,
+      cursor: "help",
+    });
+    return dot;
+  }
+}
+
+export const setDiagnostics = StateEffect.define();
+
+const diagnosticsField = StateField.define({
+  create: () => RangeSet.empty,
+  update(markers, tr) {
+    let next = markers.map(tr.changes);
+    tr.effects.forEach((effect) => {
+      if (!effect.is(setDiagnostics)) return;
+      const ranges = [];
+      markersByLine(effect.value).forEach((marker, line) => {
+        // Lines past the end (the code changed since the run) are skipped.
+        if (line > tr.state.doc.lines) return;
+        ranges.push(new DiagnosticMarker(line, marker).range(tr.state.doc.line(line).from));
+      });
+      next = RangeSet.of(ranges, true);
+    });
+    return next;
+  },
+});
+
+export const diagnosticsGutter = [
+  diagnosticsField,
+  gutter({
+    class: "cm-diagnostics-gutter",
+    markers: (view) => view.state.field(diagnosticsField),
+  }),
+];
@@ -0,0 +1,26 @@
+// Auto-indent for the runner editor without a full PHP parser: a line after
+// an opening bracket (or the `:` of `if (…):` style blocks) is indented one
+// level deeper, and a line starting with a closing bracket one level less.
+import { EditorState, countColumn } from "@codemirror/state";
+import { getIndentUnit, indentService } from "@codemirror/language";
+
+const OPENS_BLOCK = /[{([:]\s*(\/\/.*|#.*)?$/;
+const CLOSES_BLOCK = /^\s*[}\])]/;
+
+export function phpIndentation(context, pos) {
+  const current = context.lineAt(pos, 1);
+  if (current.from === 0) return 0;
+  const previous = context.lineAt(current.from - 1, -1);
+
+  const unit = getIndentUnit(context.state);
+  const base = countColumn(/^\s*/.exec(previous.text)[0], context.state.tabSize);
+  let indent = OPENS_BLOCK.test(previous.text) ? base + unit : base;
+  if (CLOSES_BLOCK.test(current.text)) indent -= unit;
+  return Math.max(0, indent);
+}
+
+export const phpIndent = [
+  indentService.of(phpIndentation),
+  // Typing a closing bracket at the start of a line re-indents it.
+  EditorState.languageData.of(() => [{ indentOnInput: /^\s*[}\])]$/ }]),
+];
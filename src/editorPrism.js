@@ -0,0 +1,54 @@
+// Highlights the editor with Prism's PHP grammar, so the classes (and the
+// prism.css colours) are the same as in the lessons' plain code blocks.
+// Runner examples are small, so the whole document is re-tokenized on every
+// change.
+import { Decoration, ViewPlugin } from "@codemirror/view";
+import Prism from "prismjs";
+import "prismjs/components/prism-markup-templating";
+import "prismjs/components/prism-php";
+
+// Prism.highlight() without the HTML: the markup-templating hooks are what
+// split `<?php … ?>` from the HTML around it.
+export function tokenizePhp(code) {
+  const env = { code, grammar: Prism.languages.php, language: "php" };
+  Prism.hooks.run("before-tokenize", env);
+  env.tokens = Prism.tokenize(env.code, env.grammar);
+  Prism.hooks.run("after-tokenize", env);
+  return env.tokens;
+}
+
+// Flattens Prism's nested tokens into `{ from, to, className }` ranges.
+export function tokenRanges(tokens, offset = 0, ranges = []) {
+  let pos = offset;
+  (Array.isArray(tokens) ? tokens : [tokens]).forEach((token) => {
+    if (typeof token === "string") {
+      pos += token.length;
+      return;
+    }
+    const aliases = [].concat(token.alias || []);
+    ranges.push({ from: pos, to: pos + token.length, className: ["token", token.type, ...aliases].join(" ") });
+    if (typeof token.content !== "string") tokenRanges(token.content, pos, ranges);
+    pos += token.length;
+  });
+  return ranges;
+}
+
+function decorations(doc) {
+  const marks = tokenRanges(tokenizePhp(doc.toString()))
+    .filter((range) => range.to > range.from)
+    .map((range) => Decoration.mark({ class: range.className }).range(range.from, range.to));
+  return Decoration.set(marks, true);
+}
+
+export const prismHighlight = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = decorations(view.state.doc);
+    }
+
+    update(update) {
+      if (update.docChanged) this.decorations = decorations(update.state.doc);
+    }
+  },
+  { decorations: (plugin) => plugin.decorations }
+);
@@ -0,0 +1,21 @@
+// Helpers for tests that read or type into a CodeEditor, found by its label.
+import { act } from "@testing-library/react";
+import { EditorView } from "@codemirror/view";
+
+function viewOf(element) {
+  const view = EditorView.findFromDOM(element);
+  if (!view) throw new Error("Not a code editor");
+  return view;
+}
+
+export function editorText(element) {
+  return viewOf(element).state.doc.toString();
+}
+
+// Replaces the document the way typing would, so onChange fires.
+export function typeInEditor(element, text) {
+  const view = viewOf(element);
+  act(() => {
+    view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: text }, userEvent: "input" });
+  });
+}
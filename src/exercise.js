@@ -0,0 +1,52 @@
+// Checks an exercise run: the output against the expected output and the
+// results of the hidden tests.
+import { diffLines } from "./lineDiff";
+
+export const MATCH_MODES = ["exact", "whitespace", "regex"];
+
+// Fenced blocks cannot show trailing whitespace, so "exact" ignores it at the
+// end of the output. "whitespace" also treats every run of spaces, tabs and
+// newlines as a single space.
+export function normalizeOutput(text, match = "exact") {
+  const value = String(text || "");
+  if (match === "whitespace") return value.replace(/\s+/g, " ").trim();
+  return value.trimEnd();
+}
+
+export function matchesOutput(actual, expected) {
+  const { text, match = "exact" } = expected;
+  if (match === "regex") {
+    try {
+      return new RegExp(`^(?:${text.trim()})$`).test(normalizeOutput(actual));
+    } catch (error) {
+      return false;
+    }
+  }
+  return normalizeOutput(actual, match) === normalizeOutput(text, match);
+}
+
+// `expected` is `{ text, match }` or undefined, `tests` the results from the
+// engine or undefined. Returns `{ passed, output, tests }`; `output.diff`
+// compares the expected and actual lines, normalized the way the match mode
+// compares them (there is none for regex matches).
+export function checkExercise({ stdout, tests }, expected) {
+  const output = expected
+    ? {
+        passed: matchesOutput(stdout, expected),
+        match: expected.match || "exact",
+        expected: expected.text,
+        actual: stdout,
+        diff:
+          expected.match === "regex"
+            ? null
+            : diffLines(normalizeOutput(expected.text, expected.match), normalizeOutput(stdout, expected.match)),
+      }
+    : null;
+  const results = tests || [];
+
+  return {
+    passed: (!output || output.passed) && results.every((test) => test.passed),
+    output,
+    tests: results,
+  };
+}
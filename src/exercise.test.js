@@ -0,0 +1,41 @@
+import { checkExercise, matchesOutput, normalizeOutput } from './exercise';
+
+test('matches output exactly, ignoring spacing, or against a pattern', () => {
+  expect(matchesOutput('Hello\n', { text: 'Hello', match: 'exact' })).toBe(true);
+  expect(matchesOutput('Hello  world', { text: 'Hello world', match: 'exact' })).toBe(false);
+  expect(matchesOutput('Hello  \n world\n', { text: 'Hello world', match: 'whitespace' })).toBe(true);
+  expect(matchesOutput('Rolled 4', { text: 'Rolled [1-6]', match: 'regex' })).toBe(true);
+  expect(matchesOutput('Rolled 4!', { text: 'Rolled [1-6]', match: 'regex' })).toBe(false);
+  expect(matchesOutput('anything', { text: '(', match: 'regex' })).toBe(false);
+  expect(normalizeOutput(' a\n\tb ', 'whitespace')).toBe('a b');
+});
+
+test('fails when the output differs or a hidden test fails', () => {
+  const expected = { text: '1\n2\n3', match: 'exact' };
+
+  const wrong = checkExercise({ stdout: '1\n3\n' }, expected);
+  expect(wrong.passed).toBe(false);
+  expect(wrong.output.diff).toEqual([
+    { type: 'same', text: '1' },
+    { type: 'removed', text: '2' },
+    { type: 'same', text: '3' },
+  ]);
+
+  const failedTest = checkExercise({ stdout: '1\n2\n3', tests: [{ name: 'sum', passed: false, message: '' }] }, expected);
+  expect(failedTest).toMatchObject({ passed: false, output: { passed: true } });
+
+  expect(checkExercise({ stdout: '', tests: [{ name: 'sum', passed: true, message: '' }] })).toEqual({
+    passed: true,
+    output: null,
+    tests: [{ name: 'sum', passed: true, message: '' }],
+  });
+});
+
+test('diffs whitespace-mode output the way it is compared', () => {
+  const check = checkExercise({ stdout: 'Total:\n  3 items\nDone' }, { text: 'Total: 4 items Done', match: 'whitespace' });
+  expect(check.output.passed).toBe(false);
+  expect(check.output.diff).toEqual([
+    { type: 'removed', text: 'Total: 4 items Done' },
+    { type: 'added', text: 'Total: 3 items Done' },
+  ]);
+});
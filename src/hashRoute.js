@@ -0,0 +1,63 @@
+// Routes live in the URL hash so the site keeps working on static hosting:
+//
+//   #Loops                 a section
+//   #Loops/for-loop        a heading in it (see lessonAnchors())
+//   #Loops/example-2       its second runner
+//   #share/<data>          a shared snippet (see shareLink.js)
+//   #playground            the playground, with its first scratch snippet
+//   #playground/<id>       a scratch snippet (see playgroundStorage.js)
+//
+// Changing the hash adds a history entry, so back and forward move between
+// sections and anchors.
+import { useEffect, useState } from "react";
+
+// Opened when the hash names no section.
+export const DEFAULT_SECTION = "Intro";
+
+// Section ids cannot take these names.
+export const RESERVED_PAGES = ["share", "playground"];
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+export function parseHash(hash) {
+  const value = decode(String(hash || "").replace(/^#/, ""));
+  const [first = "", ...rest] = value.split("/");
+  if (first === "share") return { page: "share", data: rest.join("/") };
+  if (first === "playground") return { page: "playground", snippetId: rest.join("/") || null };
+  return { page: "section", sectionId: first, anchor: rest.join("/") || null };
+}
+
+export function sectionHash(sectionId, anchor) {
+  return `#${encodeURIComponent(sectionId)}${anchor ? `/${encodeURIComponent(anchor)}` : ""}`;
+}
+
+export function playgroundHash(snippetId) {
+  return snippetId ? `#playground/${encodeURIComponent(snippetId)}` : "#playground";
+}
+
+// Element id of an anchor, unique across sections.
+export function anchorId(sectionId, anchor) {
+  return `${sectionId}/${anchor}`;
+}
+
+export function navigate(hash) {
+  if (window.location.hash !== hash) window.location.hash = hash;
+}
+
+export function useHashRoute() {
+  const [hash, setHash] = useState(() => window.location.hash);
+
+  useEffect(() => {
+    const onChange = () => setHash(window.location.hash);
+    window.addEventListener("hashchange", onChange);
+    return () => window.removeEventListener("hashchange", onChange);
+  }, []);
+
+  return parseHash(hash);
+}
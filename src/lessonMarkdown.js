@@ -0,0 +1,174 @@
+// Turns a lesson's Markdown body into blocks for MarkdownContent. Fenced `php`
+// blocks become runner blocks; the rest are marked tokens. Options for a
+// runner go after the language on the fence line:
+//
+//   ```php method=POST body="name=Alice" output=html
+//
+// Consecutive fenced blocks with a `file=` option form one multi-file runner
+// whose first block is the entry file. `norun` shows a PHP block as plain code.
+// `stateful` keeps cookies and the session from one run to the next, so
+// running the example again continues the same visit. `browser` opens the
+// HTML output in the mini-browser, where links and forms run the example
+// again with their request.
+//
+// An `output` block right after a runner is the output the example is
+// expected to print. It is not shown on the page; the lesson tests run every
+// example and compare. Add `regex` to match the output against a pattern
+// instead (for examples that print random numbers or dates), or `whitespace`
+// to ignore differences in spacing and line breaks.
+//
+// `php exercise` makes the runner an exercise: its code is the starter
+// template and the learner's output is checked against the `output` block
+// when they run it. A `tests` block adds hidden PHP tests (see phpSession.js),
+// and a `php solution` block holds the answer the lesson tests check against.
+//
+// `sql schema` and `sql fixtures` blocks after a runner seed its SQLite
+// database (see phpDatabase.js).
+import { marked } from "marked";
+import { DEFAULT_ENTRY } from "./phpFiles";
+
+const REQUEST_OPTIONS = ["method", "query", "body", "headers", "cookies"];
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+const OPTION = /([\w-]+)(?:=(?:"((?:[^"\\]|\\.)*)"|(\S+)))?/g;
+
+export function parseFenceInfo(info) {
+  const [lang = "", ...rest] = String(info || "").trim().split(/\s+/);
+  const options = {};
+  const text = rest.join(" ");
+  let match;
+  OPTION.lastIndex = 0;
+  while ((match = OPTION.exec(text))) {
+    const [, key, quoted, bare] = match;
+    options[key] = quoted !== undefined ? quoted.replace(/\\(.)/g, (_, c) => (c === "n" ? "\n" : c)) : bare ?? true;
+  }
+  return { lang: lang.toLowerCase(), options };
+}
+
+// marked escapes these in text tokens.
+export function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => ENTITIES[name]);
+}
+
+function isRunnable(fence) {
+  return fence.lang === "php" && !fence.options.norun && !fence.options.solution;
+}
+
+function matchMode(options) {
+  if (options.regex) return "regex";
+  if (options.whitespace) return "whitespace";
+  return "exact";
+}
+
+function requestFrom(options) {
+  const keys = REQUEST_OPTIONS.filter((key) => typeof options[key] === "string");
+  if (keys.length === 0) return undefined;
+  return Object.fromEntries(keys.map((key) => [key, options[key]]));
+}
+
+function runnerBlock(fences) {
+  const [first] = fences;
+  const block = {
+    type: "runner",
+    request: requestFrom(first.options),
+    outputMode: typeof first.options.output === "string" ? first.options.output : undefined,
+    phpVersion: typeof first.options.version === "string" ? first.options.version : undefined,
+    ini: typeof first.options.ini === "string" ? first.options.ini : undefined,
+    extensions: typeof first.options.extensions === "string" ? first.options.extensions.split(",") : undefined,
+  };
+  if (first.options.exercise) block.exercise = true;
+  if (first.options.stateful) block.stateful = true;
+  if (first.options.browser) block.browser = true;
+  if (first.options.file) {
+    block.files = fences.map((fence) => ({ name: String(fence.options.file), code: fence.text }));
+    block.entry = block.files[0].name;
+  } else {
+    block.code = first.text;
+  }
+  return block;
+}
+
+// Attaches an `output`, `tests`, `php solution`, `sql schema` or
+// `sql fixtures` block to the runner before it. Returns false for any other
+// block.
+function annotate(block, token) {
+  const { lang, options } = parseFenceInfo(token.lang);
+  if (lang === "output" && !block.expected) {
+    block.expected = { text: token.text, match: matchMode(options) };
+  } else if (lang === "tests" && block.exercise && block.tests === undefined) {
+    block.tests = token.text;
+  } else if (lang === "php" && options.solution && block.exercise) {
+    const name = typeof options.file === "string" ? options.file : block.entry || DEFAULT_ENTRY;
+    block.solution = [...(block.solution || []), { name, code: token.text }];
+  } else if (lang === "sql" && (options.schema || options.fixtures)) {
+    const part = options.schema ? "schema" : "fixtures";
+    block.database = { ...block.database, [part]: token.text };
+  } else {
+    return false;
+  }
+  return true;
+}
+
+export function parseLesson(body) {
+  const tokens = marked.lexer(body).filter((token) => token.type !== "space");
+  const blocks = [];
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token.type !== "code") {
+      blocks.push(token);
+      continue;
+    }
+
+    const fence = { ...parseFenceInfo(token.lang), text: token.text };
+    if (!isRunnable(fence)) {
+      blocks.push({ ...token, lang: fence.lang });
+      continue;
+    }
+
+    const fences = [fence];
+    while (fence.options.file && tokens[i + 1] && tokens[i + 1].type === "code") {
+      const next = { ...parseFenceInfo(tokens[i + 1].lang), text: tokens[i + 1].text };
+      if (!next.options.file) break;
+      fences.push(next);
+      i += 1;
+    }
+    const block = runnerBlock(fences);
+    while (tokens[i + 1] && tokens[i + 1].type === "code" && annotate(block, tokens[i + 1])) {
+      i += 1;
+    }
+    blocks.push(block);
+  }
+  return blocks;
+}
+
+// The runnable examples of a lesson, in page order.
+export function lessonExamples(body) {
+  return parseLesson(body).filter((block) => block.type === "runner");
+}
+
+export function slugify(text) {
+  return decodeEntities(String(text))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Link anchors of parseLesson()'s blocks, by position: a slug of the text for
+// headings (with -2, -3, … for repeats) and `example-N` for runners, counted
+// from 1. Other blocks get null.
+export function lessonAnchors(blocks) {
+  const used = new Set();
+  let runners = 0;
+  return blocks.map((block) => {
+    if (block.type === "runner") {
+      runners += 1;
+      return `example-${runners}`;
+    }
+    if (block.type !== "heading") return null;
+    const base = slugify(block.text) || "section";
+    let slug = base;
+    for (let n = 2; used.has(slug) || /^example-\d+$/.test(slug); n += 1) slug = `${base}-${n}`;
+    used.add(slug);
+    return slug;
+  });
+}
@@ -0,0 +1,155 @@
+import { lessonAnchors, lessonExamples, parseFenceInfo, parseLesson } from './lessonMarkdown';
+
+test('parses runner options from the fence line', () => {
+  expect(parseFenceInfo('php method=POST body="name=Alice Smith" norun')).toEqual({
+    lang: 'php',
+    options: { method: 'POST', body: 'name=Alice Smith', norun: true },
+  });
+  expect(parseFenceInfo('PHP headers="A: 1\\nB: \\"2\\""').options.headers).toBe('A: 1\nB: "2"');
+});
+
+test('turns php blocks into runners and groups consecutive files', () => {
+  const body = [
+    'Intro text',
+    '```php query="user=dev"',
+    '<?php echo $_GET["user"];',
+    '```',
+    '```php norun',
+    '<?php // shown only',
+    '```',
+    '```php file=index.php',
+    "<?php require 'lib.php';",
+    '```',
+    '',
+    '```php file=lib.php',
+    '<?php echo 1;',
+    '```',
+  ].join('\n');
+
+  expect(parseLesson(body).map((block) => block.type)).toEqual(['paragraph', 'runner', 'code', 'runner']);
+  expect(lessonExamples(body)).toEqual([
+    { type: 'runner', code: '<?php echo $_GET["user"];', request: { query: 'user=dev' }, outputMode: undefined },
+    {
+      type: 'runner',
+      files: [
+        { name: 'index.php', code: "<?php require 'lib.php';" },
+        { name: 'lib.php', code: '<?php echo 1;' },
+      ],
+      entry: 'index.php',
+      request: undefined,
+      outputMode: undefined,
+    },
+  ]);
+});
+
+test('attaches the expected output block to the runner before it', () => {
+  const body = ['```php', '<?php echo rand();', '```', '', '```output regex', '\\d+', '```'].join('\n');
+
+  expect(parseLesson(body)).toEqual([
+    expect.objectContaining({ type: 'runner', expected: { text: '\\d+', match: 'regex' } }),
+  ]);
+});
+
+test('collects the expected output, hidden tests and solution of an exercise', () => {
+  const body = [
+    '```php exercise',
+    '<?php',
+    'function add($a, $b) {}',
+    '```',
+    '```output whitespace',
+    '5',
+    '```',
+    '```tests',
+    '<?php check_same("add(2, 3)", 5, add(2, 3));',
+    '```',
+    '```php solution',
+    '<?php function add($a, $b) { return $a + $b; } echo add(2, 3);',
+    '```',
+    '```php',
+    '<?php echo 1;',
+    '```',
+  ].join('\n');
+
+  const [exercise, example] = lessonExamples(body);
+  expect(exercise).toMatchObject({
+    exercise: true,
+    code: '<?php\nfunction add($a, $b) {}',
+    expected: { text: '5', match: 'whitespace' },
+    tests: '<?php check_same("add(2, 3)", 5, add(2, 3));',
+    solution: [{ name: 'index.php', code: '<?php function add($a, $b) { return $a + $b; } echo add(2, 3);' }],
+  });
+  expect(example).toEqual({ type: 'runner', code: '<?php echo 1;', request: undefined, outputMode: undefined });
+});
+
+test('gives headings and runners link anchors', () => {
+  const body = [
+    '### For &amp; While',
+    'Text',
+    '##### Code example — For',
+    '```php',
+    '<?php',
+    '```',
+    '##### Code example — For',
+    '```php',
+    '<?php',
+    '```',
+    '### Example 1',
+  ].join('\n');
+
+  expect(lessonAnchors(parseLesson(body))).toEqual([
+    'for-while',
+    null,
+    'code-example-for',
+    'example-1',
+    'code-example-for-2',
+    'example-2',
+    'example-1-2',
+  ]);
+});
+
+test('keeps the PHP version a runner asks for', () => {
+  const [example] = lessonExamples(['```php version=8.1', '<?php enum Suit { case Hearts; }', '```'].join('\n'));
+  expect(example.phpVersion).toBe('8.1');
+});
+
+test('marks stateful and mini-browser runners', () => {
+  const [stateful, browser, plain] = lessonExamples(
+    ['```php stateful', '<?php session_start();', '```', '```php browser', '<?php echo 1;', '```', '```php', '<?php echo 1;', '```'].join('\n')
+  );
+  expect(stateful.stateful).toBe(true);
+  expect(browser.browser).toBe(true);
+  expect(plain).not.toHaveProperty('stateful');
+  expect(plain).not.toHaveProperty('browser');
+});
+
+test('reads the ini settings and extensions of a runner', () => {
+  const [example] = lessonExamples(
+    ['```php ini="display_errors=1\\nprecision=4" extensions=mbstring', '<?php echo mb_strlen("é");', '```'].join('\n')
+  );
+  expect(example.ini).toBe('display_errors=1\nprecision=4');
+  expect(example.extensions).toEqual(['mbstring']);
+});
+
+test('seeds a runner\'s database from the sql blocks after it', () => {
+  const [example] = lessonExamples(
+    [
+      '```php',
+      "<?php $db = new PDO('sqlite:/data/app.sqlite');",
+      '```',
+      '```sql schema',
+      'CREATE TABLE t (a);',
+      '```',
+      '```output',
+      '',
+      '```',
+      '```sql fixtures',
+      'INSERT INTO t VALUES (1);',
+      '```',
+      '```sql',
+      'SELECT 1;',
+      '```',
+    ].join('\n')
+  );
+  expect(example.database).toEqual({ schema: 'CREATE TABLE t (a);', fixtures: 'INSERT INTO t VALUES (1);' });
+  expect(example.expected).toEqual({ text: '', match: 'exact' });
+});
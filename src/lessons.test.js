@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+// Checks the lessons in content/sections: front-matter, runnable snippets and
+// the output of every example, run on php-wasm's Node build. Exercises are
+// checked with their solution instead of the starter code.
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { marked } from 'marked';
+import { PhpNode } from 'php-wasm/PhpNode.js';
+import { checkExercise, normalizeOutput } from './exercise';
+import { RESERVED_PAGES } from './hashRoute';
+import { lessonAnchors, lessonExamples, parseLesson } from './lessonMarkdown';
+import { PHP_BUILTINS } from './phpBuiltins';
+import { withDatabaseExtension } from './phpDatabase';
+import { extensionLibs, normalizeExtensions, OPTIONAL_EXTENSIONS } from './phpEnvironment';
+import { normalizeFiles } from './phpFiles';
+import { phpString } from './phpRequest';
+import { createPhpSession } from './phpSession';
+import { closestPhpVersion } from './phpVersions';
+import sections from './sections.generated.json';
+
+const REQUIRED_FIELDS = ['id', 'title', 'summary'];
+
+// "PHP ARRAYS" and "Arrays" are the same topic.
+const topicOf = (title) => title.toLowerCase().replace(/^php\s+/, '').replace(/[^a-z0-9]/g, '');
+
+function inlineStatements(body) {
+  const spans = [];
+  marked.walkTokens(marked.lexer(body), (token) => {
+    if (token.type === 'codespan' && token.text.trim().endsWith(';')) spans.push(token.text);
+  });
+  return spans;
+}
+
+// One session per PHP version and set of extensions, for examples with a
+// `version=` or `extensions=` option. Extensions load straight from their
+// php-wasm-* package.
+const sessions = new Map();
+
+const locateExtension = (extension, file) =>
+  pathToFileURL(path.join(path.dirname(require.resolve(`${OPTIONAL_EXTENSIONS[extension].package}/package.json`)), file)).href;
+
+function sessionFor(version, extensions) {
+  const resolved = closestPhpVersion(version);
+  const key = [resolved, ...normalizeExtensions(extensions)].join('+');
+  if (!sessions.has(key)) {
+    const php = new PhpNode({ version: resolved, sharedLibs: extensionLibs(extensions, resolved, locateExtension) });
+    sessions.set(key, php.binary.then(() => createPhpSession(php)));
+  }
+  return sessions.get(key);
+}
+
+beforeAll(() => sessionFor(), 60000);
+
+async function run(example) {
+  const session = await sessionFor(example.phpVersion, withDatabaseExtension(example.extensions, example.database));
+  return session.run({
+    files: normalizeFiles(example.files, example.code),
+    entry: example.entry,
+    request: example.request,
+    ini: example.ini,
+    database: example.database,
+    stateful: example.stateful || example.browser,
+  });
+}
+
+// The exercise's files with the solution files swapped in.
+function solved(example) {
+  const files = normalizeFiles(example.files, example.code);
+  const solution = example.solution || [];
+  return [
+    ...files.map((file) => solution.find((item) => item.name === file.name) || file),
+    ...solution.filter((item) => !files.some((file) => file.name === item.name)),
+  ];
+}
+
+test('section ids and topics are unique', () => {
+  const ids = sections.map((section) => section.id);
+  expect(ids.filter((id, index) => ids.indexOf(id) !== index)).toEqual([]);
+  expect(ids.filter((id) => RESERVED_PAGES.includes(id))).toEqual([]);
+
+  const topics = sections.map((section) => topicOf(section.title));
+  expect(sections.filter((section, index) => topics.indexOf(topics[index]) !== index).map((s) => s.file)).toEqual([]);
+});
+
+// Built-ins the catalogue lists that are language constructs, not functions.
+const CONSTRUCTS = ['echo', 'print', 'array', 'isset', 'unset', 'empty', 'exit', 'die', 'require', 'require_once', 'include', 'include_once'];
+
+test('the built-ins catalogue links to sections and headings that exist', () => {
+  const broken = PHP_BUILTINS.filter((builtin) => builtin.section).filter((builtin) => {
+    const section = sections.find((item) => item.id === builtin.section);
+    return !section || (builtin.anchor && !lessonAnchors(parseLesson(section.body)).includes(builtin.anchor));
+  });
+  expect(broken.map((builtin) => `${builtin.name} → ${builtin.section}/${builtin.anchor}`)).toEqual([]);
+});
+
+test('the built-ins catalogue only lists functions PHP has', async () => {
+  const names = PHP_BUILTINS.map((builtin) => builtin.name).filter((name) => !CONSTRUCTS.includes(name));
+  const result = await run({
+    code: `<?php echo implode(",", array_filter(json_decode(${phpString(JSON.stringify(names))}), fn ($name) => !function_exists($name)));`,
+  });
+  expect(result.stdout).toBe('');
+});
+
+describe.each(sections.map((section) => [section.id, section]))('%s', (id, section) => {
+  const examples = lessonExamples(section.body);
+
+  test('front-matter has the required fields', () => {
+    REQUIRED_FIELDS.forEach((field) => {
+      expect(typeof section[field]).toBe('string');
+      expect(section[field].trim()).not.toBe('');
+    });
+    expect(section.id).toMatch(/^[A-Za-z][A-Za-z0-9_-]*$/);
+    expect(typeof section.order).toBe('number');
+    expect(Array.isArray(section.tags)).toBe(true);
+  });
+
+  test('runnable PHP files open with <?php and have an expected output', () => {
+    examples.forEach((example, index) => {
+      const label = `example ${index + 1}`;
+      [...normalizeFiles(example.files, example.code), ...(example.solution || [])]
+        .filter((file) => file.name.endsWith('.php'))
+        .forEach((file) => {
+          expect(`${label}, ${file.name}: ${file.code.trimStart().slice(0, 5)}`).toBe(`${label}, ${file.name}: <?php`);
+        });
+      const checked = example.expected || example.tests;
+      expect(`${label}: ${checked ? 'has' : 'no'} expected output`).toBe(`${label}: has expected output`);
+      const solved = !example.exercise || example.solution;
+      expect(`${label}: ${solved ? 'has' : 'no'} solution`).toBe(`${label}: has solution`);
+    });
+  });
+
+  test('inline PHP statements are valid', async () => {
+    for (const statement of inlineStatements(section.body)) {
+      const result = await run({
+        code: `<?php
+try {
+    eval('return; ' . ${phpString(statement)});
+} catch (ParseError $e) {
+    echo $e->getMessage();
+}`,
+      });
+      expect(`${statement} ${result.stdout}`.trim()).toBe(statement.trim());
+    }
+  });
+
+  examples
+    .map((example, index) => [index, example])
+    .filter(([, example]) => !example.exercise)
+    .forEach(([index, example]) => {
+      test(`example ${index + 1} prints its expected output`, async () => {
+        const result = await run(example);
+        expect(result.diagnostics).toEqual([]);
+
+        const { text, match } = example.expected || { text: '' };
+        expect(normalizeOutput(result.stdout, match)).toEqual(
+          match === 'regex' ? expect.stringMatching(new RegExp(`^(?:${text.trim()})$`)) : normalizeOutput(text, match)
+        );
+      });
+    });
+
+  examples
+    .map((example, index) => [index, example])
+    .filter(([, example]) => example.exercise)
+    .forEach(([index, example]) => {
+      test(`example ${index + 1} (exercise) passes its checks with the solution`, async () => {
+        const session = await sessionFor(example.phpVersion, withDatabaseExtension(example.extensions, example.database));
+        const result = await session.run({
+          files: solved(example),
+          entry: example.entry,
+          request: example.request,
+          ini: example.ini,
+          database: example.database,
+          tests: example.tests,
+        });
+        expect(result.diagnostics).toEqual([]);
+
+        const check = checkExercise(result, example.expected);
+        expect(check.tests.filter((test) => !test.passed)).toEqual([]);
+        expect((check.output?.diff || []).filter((line) => line.type !== 'same')).toEqual([]);
+        expect(check.passed).toBe(true);
+      });
+    });
+});
@@ -0,0 +1,59 @@
+// Line diff based on the longest common subsequence. Runner examples are a
+// few dozen lines, so the quadratic table is fine.
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i] });
+      i += 1;
+    } else {
+      lines.push({ type: "added", text: b[j] });
+      j += 1;
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", text: a[i++] });
+  while (j < b.length) lines.push({ type: "added", text: b[j++] });
+  return lines;
+}
+
+// Pairs files by name so a diff can show added and deleted files too.
+export function diffFiles(before, after) {
+  const names = [...new Set([...before, ...after].map((file) => file.name))];
+  const codeOf = (files, name) => {
+    const file = files.find((entry) => entry.name === name);
+    return file ? file.code : null;
+  };
+
+  return names
+    .map((name) => {
+      const oldCode = codeOf(before, name);
+      const newCode = codeOf(after, name);
+      return {
+        name,
+        status: oldCode === null ? "added" : newCode === null ? "deleted" : oldCode === newCode ? "same" : "changed",
+        lines:
+          oldCode === null
+            ? newCode.split("\n").map((text) => ({ type: "added", text }))
+            : newCode === null
+            ? oldCode.split("\n").map((text) => ({ type: "removed", text }))
+            : diffLines(oldCode, newCode),
+      };
+    })
+    .filter((file) => file.status !== "same");
+}
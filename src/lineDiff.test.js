@@ -0,0 +1,21 @@
+import { diffFiles, diffLines } from './lineDiff';
+
+test('diffs lines against the longest common subsequence', () => {
+  expect(diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'added', text: 'x' },
+    { type: 'same', text: 'c' },
+    { type: 'added', text: 'd' },
+  ]);
+});
+
+test('reports added, deleted and changed files but skips unchanged ones', () => {
+  const before = [{ name: 'index.php', code: 'a' }, { name: 'old.php', code: 'x' }, { name: 'same.php', code: 's' }];
+  const after = [{ name: 'index.php', code: 'b' }, { name: 'same.php', code: 's' }, { name: 'new.php', code: 'y' }];
+  expect(diffFiles(before, after).map(({ name, status }) => [name, status])).toEqual([
+    ['index.php', 'changed'],
+    ['old.php', 'deleted'],
+    ['new.php', 'added'],
+  ]);
+});
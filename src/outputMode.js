@@ -0,0 +1,20 @@
+// How a runner shows its output:
+//   "auto" - rendered HTML when the output contains real markup, else text
+//   "text" - always plain text
+//   "html" - always rendered HTML, even when there are no tags
+//   "both" - rendered HTML and its source, one under the other
+export const OUTPUT_MODES = ["auto", "text", "html", "both"];
+
+// Markup means a matching open/close pair, a void element or a doctype, so
+// `var_dump("<b>")` or `echo "a<b"` stay text.
+const MARKUP = /<!doctype html|<([a-z][a-z0-9]*)\b[^<>]*>[\s\S]*?<\/\1\s*>|<(br|hr|img|input|meta|link)\b[^<>]*\/?>/i;
+
+export function looksLikeHtml(output) {
+  return MARKUP.test(output);
+}
+
+export function shouldRenderHtml(output, mode = "auto") {
+  if (mode === "text") return false;
+  if (mode === "html" || mode === "both") return true;
+  return looksLikeHtml(output);
+}
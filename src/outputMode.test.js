@@ -0,0 +1,14 @@
+import { looksLikeHtml, shouldRenderHtml } from './outputMode';
+
+test('auto mode only renders output with real markup', () => {
+  expect(looksLikeHtml('<h1>Hello</h1>')).toBe(true);
+  expect(looksLikeHtml('Apple<br>Banana<br>')).toBe(true);
+  expect(looksLikeHtml('string(3) "<b>"')).toBe(false);
+  expect(looksLikeHtml('a<b')).toBe(false);
+});
+
+test('explicit modes ignore the content', () => {
+  expect(shouldRenderHtml('plain text', 'html')).toBe(true);
+  expect(shouldRenderHtml('plain text', 'both')).toBe(true);
+  expect(shouldRenderHtml('<p>hi</p>', 'text')).toBe(false);
+});
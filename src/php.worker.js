@@ -0,0 +1,80 @@
+/* eslint-disable no-restricted-globals */
+// php-wasm runtime worker.
+// The runtime is served from the app's own origin: scripts/copy-php-wasm.js
+// copies the php-wasm version pinned in package.json into public/php-wasm.
+// CDN module URLs are only tried when the engine passes some in as a fallback.
+import { createPhpSession } from "./phpSession";
+
+let session = null;
+let loading = null;
+
+function loadModule(url) {
+  return import(/* webpackIgnore: true */ url);
+}
+
+async function createRuntime(module, options) {
+  const PhpWeb = module.PhpWeb || (module.default && module.default.PhpWeb) || module.default;
+  if (!PhpWeb) {
+    throw new Error("PhpWeb not found in module");
+  }
+
+  const instance = new PhpWeb({ version: options.version, sharedLibs: options.sharedLibs || [] });
+  await instance.binary;
+  return instance;
+}
+
+async function loadRuntime(options) {
+  const sources = [options.runtimeUrl].concat(options.cdnSources || []).filter(Boolean);
+
+  for (const url of sources) {
+    try {
+      return await createRuntime(await loadModule(url), options);
+    } catch (error) {
+      console.warn("Failed to load PHP from", url, ":", error.message);
+    }
+  }
+  throw new Error("No PHP runtime could be loaded");
+}
+
+function ensureRuntime(options) {
+  if (!loading) {
+    loading = loadRuntime(options).then((instance) => {
+      session = createPhpSession(instance);
+      return instance;
+    });
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+self.onmessage = async function (e) {
+  const { type, id, options, files, entry, request, tests, ini, database, stateful } = e.data;
+
+  if (type === "init") {
+    try {
+      await ensureRuntime(options || {});
+      self.postMessage({ type: "ready", ready: true });
+    } catch (error) {
+      self.postMessage({
+        type: "error",
+        error: "PHP initialization failed: " + error.message,
+      });
+    }
+    return;
+  }
+
+  if (type === "run") {
+    try {
+      const result = await session.run({ files, entry, request, tests, ini, database, stateful });
+      self.postMessage({ type: "result", id, ...result });
+    } catch (error) {
+      self.postMessage({
+        type: "error",
+        error: error.message || "PHP execution failed",
+        id,
+      });
+    }
+  }
+};
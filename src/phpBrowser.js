@@ -0,0 +1,90 @@
+// The runner's mini-browser. HTML output gets a script that turns link clicks
+// and form submits into messages to the runner, which runs the PHP again with
+// the matching request, the way a browser would ask a server for the next
+// page. Pages are `{ file, method, query, body }`, with addresses like
+// "/index.php?page=2" on a pretend http://localhost.
+
+export const NAVIGATE_MESSAGE = "php-runner:navigate";
+// Redirects followed in a row before giving up, as browsers do for loops.
+export const MAX_REDIRECTS = 10;
+
+const ORIGIN = "http://localhost";
+
+// Links to #anchors scroll as usual. Links send `data: null`; forms send
+// their fields, urlencoded (file inputs send the file name only).
+const BROWSER_SCRIPT = `<script>
+(function () {
+  function send(method, action, data) {
+    parent.postMessage({ type: "${NAVIGATE_MESSAGE}", method: method, action: action, data: data }, "*");
+  }
+  document.addEventListener("click", function (event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    var link = event.target.closest && event.target.closest("a[href]");
+    if (!link || link.getAttribute("href").charAt(0) === "#") return;
+    event.preventDefault();
+    send("GET", link.getAttribute("href"), null);
+  });
+  document.addEventListener("submit", function (event) {
+    if (event.defaultPrevented) return;
+    event.preventDefault();
+    var form = event.target;
+    var submitter = event.submitter;
+    var fields = new FormData(form);
+    var pairs = [];
+    fields.forEach(function (value, name) {
+      pairs.push([name, typeof value === "string" ? value : value.name]);
+    });
+    if (submitter && submitter.name) pairs.push([submitter.name, submitter.value]);
+    var method = (submitter && submitter.getAttribute("formmethod")) || form.getAttribute("method") || "GET";
+    var action = (submitter && submitter.getAttribute("formaction")) || form.getAttribute("action") || "";
+    send(method.toUpperCase(), action, new URLSearchParams(pairs).toString());
+  });
+})();
+</script>`;
+
+export function withBrowserScript(html) {
+  return html + BROWSER_SCRIPT;
+}
+
+export function formatAddress({ file, query }) {
+  return `/${file}${query ? "?" + query : ""}`;
+}
+
+// The page a navigation message asks for, relative to the page on show.
+// `file` is "" for "/". Links to other sites come back as `{ external: url }`,
+// and anything else that isn't http (mailto:, javascript:) as null.
+export function resolveNavigation(current, { method, action, data }) {
+  let url;
+  try {
+    url = new URL(String(action || ""), ORIGIN + formatAddress(current));
+  } catch (e) {
+    return null;
+  }
+  if (url.origin !== ORIGIN) {
+    return url.protocol === "http:" || url.protocol === "https:" ? { external: url.href } : null;
+  }
+  const post = String(method || "GET").toUpperCase() === "POST";
+  const fields = data === null || data === undefined ? null : String(data);
+  return {
+    file: decodeURIComponent(url.pathname.slice(1)),
+    method: post ? "POST" : "GET",
+    // A GET form replaces the action's query string with its fields.
+    query: !post && fields !== null ? fields : url.search.slice(1),
+    body: post ? fields || "" : "",
+  };
+}
+
+// Where a response's Location header sends the browser, or null. 307 and
+// 308 repeat the request as it was; the other redirects become a GET.
+export function redirectTarget(current, response) {
+  if (response.status < 300 || response.status > 399) return null;
+  const location = response.headers.find((header) => header.name.toLowerCase() === "location");
+  if (!location) return null;
+  const repeat = response.status === 307 || response.status === 308;
+  const target = resolveNavigation(current, {
+    method: repeat ? current.method : "GET",
+    action: location.value,
+    data: repeat && current.method === "POST" ? current.body : null,
+  });
+  return target && !target.external ? target : null;
+}
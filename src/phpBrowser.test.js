@@ -0,0 +1,61 @@
+import { NAVIGATE_MESSAGE, redirectTarget, resolveNavigation, withBrowserScript } from './phpBrowser';
+
+const home = { file: 'index.php', method: 'GET', query: 'page=2', body: '' };
+
+test('adds the navigation script after the page', () => {
+  const html = withBrowserScript('<p>Hi</p>');
+  expect(html.startsWith('<p>Hi</p><script>')).toBe(true);
+  expect(html).toContain(NAVIGATE_MESSAGE);
+});
+
+test('resolves links against the page on show', () => {
+  expect(resolveNavigation(home, { method: 'GET', action: 'about.php?x=1', data: null })).toEqual({
+    file: 'about.php',
+    method: 'GET',
+    query: 'x=1',
+    body: '',
+  });
+  expect(resolveNavigation(home, { method: 'GET', action: '?page=3', data: null })).toMatchObject({
+    file: 'index.php',
+    query: 'page=3',
+  });
+  expect(resolveNavigation(home, { method: 'GET', action: '/', data: null })).toMatchObject({ file: '' });
+});
+
+test('sends GET form fields as the query and POST fields as the body', () => {
+  expect(resolveNavigation(home, { method: 'GET', action: 'search.php?old=1', data: 'q=php' })).toMatchObject({
+    file: 'search.php',
+    method: 'GET',
+    query: 'q=php',
+    body: '',
+  });
+  // An empty action posts back to the same address, query string included.
+  expect(resolveNavigation(home, { method: 'POST', action: '', data: 'name=Ann' })).toEqual({
+    file: 'index.php',
+    method: 'POST',
+    query: 'page=2',
+    body: 'name=Ann',
+  });
+});
+
+test('leaves other sites and schemes to the caller', () => {
+  expect(resolveNavigation(home, { method: 'GET', action: 'https://www.php.net/', data: null })).toEqual({
+    external: 'https://www.php.net/',
+  });
+  expect(resolveNavigation(home, { method: 'GET', action: 'mailto:ann@example.com', data: null })).toBeNull();
+});
+
+test('follows redirects with GET, except 307 and 308', () => {
+  const posted = { file: 'form.php', method: 'POST', query: '', body: 'name=Ann' };
+  const response = (status) => ({ status, headers: [{ name: 'Location', value: 'thanks.php?id=4' }] });
+
+  expect(redirectTarget(posted, response(302))).toEqual({ file: 'thanks.php', method: 'GET', query: 'id=4', body: '' });
+  expect(redirectTarget(posted, response(307))).toEqual({
+    file: 'thanks.php',
+    method: 'POST',
+    query: 'id=4',
+    body: 'name=Ann',
+  });
+  expect(redirectTarget(posted, response(200))).toBeNull();
+  expect(redirectTarget(posted, { status: 302, headers: [{ name: 'Location', value: 'https://example.com/' }] })).toBeNull();
+});
@@ -0,0 +1,202 @@
+// Offline catalogue of the PHP built-ins the runner editor completes and
+// explains on hover. `section`/`anchor` point at the notes that cover the
+// function, when there are some (lessons.test.js checks they still exist).
+export const PHP_BUILTINS = [
+  // Output and debugging
+  { name: "echo", signature: "echo string ...$expressions: void", summary: "Outputs one or more strings. A language construct, so brackets are optional.", section: "EchoPrint", anchor: "echo" },
+  { name: "print", signature: "print string $arg: int", summary: "Outputs a string and always returns 1.", section: "EchoPrint", anchor: "print" },
+  { name: "print_r", signature: "print_r(mixed $value, bool $return = false): string|bool", summary: "Prints human-readable information about a variable, such as an array's keys and values.", section: "EchoPrint", anchor: "print-r" },
+  { name: "var_dump", signature: "var_dump(mixed $value, mixed ...$values): void", summary: "Dumps the type and value of variables, including nested arrays and objects.", section: "EchoPrint", anchor: "var-dump" },
+  { name: "var_export", signature: "var_export(mixed $value, bool $return = false): ?string", summary: "Outputs or returns a parsable PHP representation of a variable." },
+  { name: "printf", signature: "printf(string $format, mixed ...$values): int", summary: "Outputs a formatted string and returns its length." },
+  { name: "sprintf", signature: "sprintf(string $format, mixed ...$values): string", summary: "Returns a formatted string, e.g. sprintf(\"%05.2f\", $n)." },
+  { name: "number_format", signature: "number_format(float $num, int $decimals = 0, ?string $decimal_separator = \".\", ?string $thousands_separator = \",\"): string", summary: "Formats a number with grouped thousands." },
+
+  // Strings
+  { name: "strlen", signature: "strlen(string $string): int", summary: "Returns the length of a string in bytes.", section: "Strings", anchor: "common-functions" },
+  { name: "str_replace", signature: "str_replace(array|string $search, array|string $replace, string|array $subject, int &$count = null): string|array", summary: "Replaces all occurrences of the search string with the replacement.", section: "Strings", anchor: "common-functions" },
+  { name: "strrev", signature: "strrev(string $string): string", summary: "Reverses a string.", section: "Strings", anchor: "common-functions" },
+  { name: "trim", signature: "trim(string $string, string $characters = \" \\n\\r\\t\\v\\x00\"): string", summary: "Strips whitespace (or other characters) from both ends of a string.", section: "Strings", anchor: "common-functions" },
+  { name: "ltrim", signature: "ltrim(string $string, string $characters = \" \\n\\r\\t\\v\\x00\"): string", summary: "Strips whitespace (or other characters) from the start of a string." },
+  { name: "rtrim", signature: "rtrim(string $string, string $characters = \" \\n\\r\\t\\v\\x00\"): string", summary: "Strips whitespace (or other characters) from the end of a string." },
+  { name: "explode", signature: "explode(string $separator, string $string, int $limit = PHP_INT_MAX): array", summary: "Splits a string by a separator into an array.", section: "Strings", anchor: "common-functions" },
+  { name: "implode", signature: "implode(string $separator, array $array): string", summary: "Joins array elements into a string with a separator." },
+  { name: "strtoupper", signature: "strtoupper(string $string): string", summary: "Makes a string uppercase.", section: "Strings", anchor: "exercise-shout" },
+  { name: "strtolower", signature: "strtolower(string $string): string", summary: "Makes a string lowercase." },
+  { name: "ucfirst", signature: "ucfirst(string $string): string", summary: "Makes the first character of a string uppercase." },
+  { name: "ucwords", signature: "ucwords(string $string, string $separators = \" \\t\\r\\n\\f\\v\"): string", summary: "Uppercases the first character of each word." },
+  { name: "lcfirst", signature: "lcfirst(string $string): string", summary: "Makes the first character of a string lowercase." },
+  { name: "substr", signature: "substr(string $string, int $offset, ?int $length = null): string", summary: "Returns part of a string. Negative offsets count from the end." },
+  { name: "strpos", signature: "strpos(string $haystack, string $needle, int $offset = 0): int|false", summary: "Finds the position of the first occurrence of a substring, or false." },
+  { name: "stripos", signature: "stripos(string $haystack, string $needle, int $offset = 0): int|false", summary: "Case-insensitive strpos()." },
+  { name: "strrpos", signature: "strrpos(string $haystack, string $needle, int $offset = 0): int|false", summary: "Finds the position of the last occurrence of a substring, or false." },
+  { name: "str_contains", signature: "str_contains(string $haystack, string $needle): bool", summary: "Checks whether a string contains a substring (PHP 8)." },
+  { name: "str_starts_with", signature: "str_starts_with(string $haystack, string $needle): bool", summary: "Checks whether a string starts with a substring (PHP 8)." },
+  { name: "str_ends_with", signature: "str_ends_with(string $haystack, string $needle): bool", summary: "Checks whether a string ends with a substring (PHP 8)." },
+  { name: "str_repeat", signature: "str_repeat(string $string, int $times): string", summary: "Repeats a string." },
+  { name: "str_pad", signature: "str_pad(string $string, int $length, string $pad_string = \" \", int $pad_type = STR_PAD_RIGHT): string", summary: "Pads a string to a certain length with another string." },
+  { name: "str_split", signature: "str_split(string $string, int $length = 1): array", summary: "Splits a string into an array of chunks." },
+  { name: "str_word_count", signature: "str_word_count(string $string, int $format = 0, ?string $characters = null): array|int", summary: "Counts (or lists) the words in a string." },
+  { name: "strcmp", signature: "strcmp(string $string1, string $string2): int", summary: "Binary-safe string comparison: negative, 0 or positive." },
+  { name: "strcasecmp", signature: "strcasecmp(string $string1, string $string2): int", summary: "Case-insensitive string comparison." },
+  { name: "substr_count", signature: "substr_count(string $haystack, string $needle, int $offset = 0, ?int $length = null): int", summary: "Counts the occurrences of a substring." },
+  { name: "wordwrap", signature: "wordwrap(string $string, int $width = 75, string $break = \"\\n\", bool $cut_long_words = false): string", summary: "Wraps a string to a given number of characters." },
+  { name: "nl2br", signature: "nl2br(string $string, bool $use_xhtml = true): string", summary: "Inserts <br> before every newline." },
+  { name: "htmlspecialchars", signature: "htmlspecialchars(string $string, int $flags = ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML401, ?string $encoding = null, bool $double_encode = true): string", summary: "Escapes &, <, >, \" and ' so text is safe to print inside HTML.", section: "SuperGlobals", anchor: "code-example-reading-a-query-parameter" },
+  { name: "strip_tags", signature: "strip_tags(string $string, array|string|null $allowed_tags = null): string", summary: "Removes HTML and PHP tags from a string." },
+  { name: "addslashes", signature: "addslashes(string $string): string", summary: "Escapes quotes and backslashes with backslashes." },
+  { name: "md5", signature: "md5(string $string, bool $binary = false): string", summary: "Calculates the MD5 hash of a string." },
+  { name: "sha1", signature: "sha1(string $string, bool $binary = false): string", summary: "Calculates the SHA-1 hash of a string." },
+
+  // Regular expressions
+  { name: "preg_match", signature: "preg_match(string $pattern, string $subject, array &$matches = null, int $flags = 0, int $offset = 0): int|false", summary: "Performs a regex match. Returns 1 if the pattern matches, 0 if not.", section: "Regex" },
+  { name: "preg_match_all", signature: "preg_match_all(string $pattern, string $subject, array &$matches = null, int $flags = 0, int $offset = 0): int|false", summary: "Finds all regex matches and returns how many there were.", section: "Regex" },
+  { name: "preg_replace", signature: "preg_replace(string|array $pattern, string|array $replacement, string|array $subject, int $limit = -1, int &$count = null): string|array|null", summary: "Replaces regex matches.", section: "Regex" },
+  { name: "preg_replace_callback", signature: "preg_replace_callback(string|array $pattern, callable $callback, string|array $subject, int $limit = -1, int &$count = null, int $flags = 0): string|array|null", summary: "Replaces regex matches with the return value of a callback." },
+  { name: "preg_split", signature: "preg_split(string $pattern, string $subject, int $limit = -1, int $flags = 0): array|false", summary: "Splits a string by a regex.", section: "Regex" },
+  { name: "preg_quote", signature: "preg_quote(string $str, ?string $delimiter = null): string", summary: "Escapes regex special characters." },
+
+  // Arrays
+  { name: "array", signature: "array(mixed ...$values): array", summary: "Creates an array. [] is the short syntax.", section: "Arrays", anchor: "creating-arrays" },
+  { name: "count", signature: "count(Countable|array $value, int $mode = COUNT_NORMAL): int", summary: "Counts the elements of an array.", section: "Arrays", anchor: "quick-reference" },
+  { name: "array_push", signature: "array_push(array &$array, mixed ...$values): int", summary: "Appends one or more elements to the end of an array.", section: "Arrays", anchor: "adding-elements" },
+  { name: "array_pop", signature: "array_pop(array &$array): mixed", summary: "Removes and returns the last element of an array." },
+  { name: "array_shift", signature: "array_shift(array &$array): mixed", summary: "Removes and returns the first element of an array." },
+  { name: "array_unshift", signature: "array_unshift(array &$array, mixed ...$values): int", summary: "Prepends elements to the start of an array." },
+  { name: "array_merge", signature: "array_merge(array ...$arrays): array", summary: "Merges arrays. Later string keys overwrite earlier ones." },
+  { name: "array_keys", signature: "array_keys(array $array, mixed $filter_value = UNKNOWN, bool $strict = false): array", summary: "Returns the keys of an array." },
+  { name: "array_values", signature: "array_values(array $array): array", summary: "Returns the values of an array, re-indexed from 0." },
+  { name: "array_key_exists", signature: "array_key_exists(string|int $key, array $array): bool", summary: "Checks whether a key exists, even if its value is null." },
+  { name: "array_search", signature: "array_search(mixed $needle, array $haystack, bool $strict = false): int|string|false", summary: "Returns the key of the first matching value, or false." },
+  { name: "in_array", signature: "in_array(mixed $needle, array $haystack, bool $strict = false): bool", summary: "Checks whether a value exists in an array." },
+  { name: "array_map", signature: "array_map(?callable $callback, array $array, array ...$arrays): array", summary: "Applies a callback to every element and returns the results." },
+  { name: "array_filter", signature: "array_filter(array $array, ?callable $callback = null, int $mode = 0): array", summary: "Keeps the elements for which the callback returns true (keys are preserved)." },
+  { name: "array_reduce", signature: "array_reduce(array $array, callable $callback, mixed $initial = null): mixed", summary: "Reduces an array to a single value with a callback." },
+  { name: "array_slice", signature: "array_slice(array $array, int $offset, ?int $length = null, bool $preserve_keys = false): array", summary: "Extracts a slice of an array." },
+  { name: "array_splice", signature: "array_splice(array &$array, int $offset, ?int $length = null, mixed $replacement = []): array", summary: "Removes (and optionally replaces) part of an array in place." },
+  { name: "array_sum", signature: "array_sum(array $array): int|float", summary: "Sums the values of an array." },
+  { name: "array_product", signature: "array_product(array $array): int|float", summary: "Multiplies the values of an array." },
+  { name: "array_unique", signature: "array_unique(array $array, int $flags = SORT_STRING): array", summary: "Removes duplicate values." },
+  { name: "array_reverse", signature: "array_reverse(array $array, bool $preserve_keys = false): array", summary: "Returns an array in reverse order." },
+  { name: "array_flip", signature: "array_flip(array $array): array", summary: "Swaps keys and values." },
+  { name: "array_combine", signature: "array_combine(array $keys, array $values): array", summary: "Creates an array from one array of keys and one of values." },
+  { name: "array_fill", signature: "array_fill(int $start_index, int $count, mixed $value): array", summary: "Fills an array with a value." },
+  { name: "array_column", signature: "array_column(array $array, int|string|null $column_key, int|string|null $index_key = null): array", summary: "Returns the values of one column from rows of arrays." },
+  { name: "array_diff", signature: "array_diff(array $array, array ...$arrays): array", summary: "Returns the values not present in the other arrays." },
+  { name: "array_intersect", signature: "array_intersect(array $array, array ...$arrays): array", summary: "Returns the values present in all the arrays." },
+  { name: "array_key_first", signature: "array_key_first(array $array): int|string|null", summary: "Returns the first key of an array." },
+  { name: "array_key_last", signature: "array_key_last(array $array): int|string|null", summary: "Returns the last key of an array." },
+  { name: "range", signature: "range(string|int|float $start, string|int|float $end, int|float $step = 1): array", summary: "Creates an array of a range of elements, e.g. range(1, 5)." },
+  { name: "compact", signature: "compact(array|string $var_name, array|string ...$var_names): array", summary: "Creates an array from variables and their names." },
+  { name: "sort", signature: "sort(array &$array, int $flags = SORT_REGULAR): bool", summary: "Sorts an array by value, ascending, and re-indexes it.", section: "Arrays", anchor: "quick-reference" },
+  { name: "rsort", signature: "rsort(array &$array, int $flags = SORT_REGULAR): bool", summary: "Sorts an array by value, descending, and re-indexes it.", section: "Arrays", anchor: "quick-reference" },
+  { name: "asort", signature: "asort(array &$array, int $flags = SORT_REGULAR): bool", summary: "Sorts by value, ascending, keeping the keys.", section: "Arrays", anchor: "quick-reference" },
+  { name: "arsort", signature: "arsort(array &$array, int $flags = SORT_REGULAR): bool", summary: "Sorts by value, descending, keeping the keys.", section: "Arrays", anchor: "quick-reference" },
+  { name: "ksort", signature: "ksort(array &$array, int $flags = SORT_REGULAR): bool", summary: "Sorts by key, ascending.", section: "Arrays", anchor: "quick-reference" },
+  { name: "krsort", signature: "krsort(array &$array, int $flags = SORT_REGULAR): bool", summary: "Sorts by key, descending.", section: "Arrays", anchor: "quick-reference" },
+  { name: "usort", signature: "usort(array &$array, callable $callback): bool", summary: "Sorts by value with a comparison callback (use <=>)." },
+  { name: "uasort", signature: "uasort(array &$array, callable $callback): bool", summary: "Sorts by value with a callback, keeping the keys." },
+  { name: "uksort", signature: "uksort(array &$array, callable $callback): bool", summary: "Sorts by key with a comparison callback." },
+  { name: "shuffle", signature: "shuffle(array &$array): bool", summary: "Randomly shuffles an array." },
+
+  // Variables and types
+  { name: "isset", signature: "isset(mixed $var, mixed ...$vars): bool", summary: "True if the variable (or array key) exists and is not null.", section: "Arrays", anchor: "safely-accessing-array-elements-with-isset" },
+  { name: "unset", signature: "unset(mixed $var, mixed ...$vars): void", summary: "Destroys variables or removes array elements.", section: "Arrays", anchor: "removing-elements" },
+  { name: "empty", signature: "empty(mixed $var): bool", summary: "True if the variable doesn't exist or is falsy (\"\", 0, \"0\", null, false, [])." },
+  { name: "is_null", signature: "is_null(mixed $value): bool", summary: "Checks whether a value is null." },
+  { name: "is_int", signature: "is_int(mixed $value): bool", summary: "Checks whether a value is an integer." },
+  { name: "is_float", signature: "is_float(mixed $value): bool", summary: "Checks whether a value is a float." },
+  { name: "is_string", signature: "is_string(mixed $value): bool", summary: "Checks whether a value is a string." },
+  { name: "is_bool", signature: "is_bool(mixed $value): bool", summary: "Checks whether a value is a boolean." },
+  { name: "is_array", signature: "is_array(mixed $value): bool", summary: "Checks whether a value is an array." },
+  { name: "is_numeric", signature: "is_numeric(mixed $value): bool", summary: "Checks whether a value is a number or a numeric string." },
+  { name: "is_callable", signature: "is_callable(mixed $value, bool $syntax_only = false, string &$callable_name = null): bool", summary: "Checks whether a value can be called as a function." },
+  { name: "gettype", signature: "gettype(mixed $value): string", summary: "Returns the type of a variable as a string.", section: "DataTypes" },
+  { name: "get_debug_type", signature: "get_debug_type(mixed $value): string", summary: "Returns the type name as used in PHP 8 error messages (int, float, class names…)." },
+  { name: "settype", signature: "settype(mixed &$var, string $type): bool", summary: "Converts a variable to a type in place.", section: "Casting" },
+  { name: "intval", signature: "intval(mixed $value, int $base = 10): int", summary: "Returns the integer value of a variable.", section: "Casting" },
+  { name: "floatval", signature: "floatval(mixed $value): float", summary: "Returns the float value of a variable.", section: "Casting" },
+  { name: "strval", signature: "strval(mixed $value): string", summary: "Returns the string value of a variable.", section: "Casting" },
+  { name: "boolval", signature: "boolval(mixed $value): bool", summary: "Returns the boolean value of a variable.", section: "Casting" },
+  { name: "define", signature: "define(string $constant_name, mixed $value, bool $case_insensitive = false): bool", summary: "Defines a named constant at runtime.", section: "Constants" },
+  { name: "defined", signature: "defined(string $constant_name): bool", summary: "Checks whether a constant exists." },
+  { name: "constant", signature: "constant(string $name): mixed", summary: "Returns the value of a constant by name." },
+
+  // Math
+  { name: "abs", signature: "abs(int|float $num): int|float", summary: "Absolute value.", section: "NumbersMath", anchor: "math-functions" },
+  { name: "round", signature: "round(int|float $num, int $precision = 0, int $mode = PHP_ROUND_HALF_UP): float", summary: "Rounds a number to a precision.", section: "NumbersMath", anchor: "math-functions" },
+  { name: "floor", signature: "floor(int|float $num): float", summary: "Rounds down." },
+  { name: "ceil", signature: "ceil(int|float $num): float", summary: "Rounds up." },
+  { name: "sqrt", signature: "sqrt(float $num): float", summary: "Square root.", section: "NumbersMath", anchor: "math-functions" },
+  { name: "pow", signature: "pow(mixed $num, mixed $exponent): int|float|object", summary: "Exponentiation, the same as the ** operator." },
+  { name: "max", signature: "max(mixed $value, mixed ...$values): mixed", summary: "Returns the highest value (of the arguments or of one array).", section: "NumbersMath", anchor: "math-functions" },
+  { name: "min", signature: "min(mixed $value, mixed ...$values): mixed", summary: "Returns the lowest value (of the arguments or of one array).", section: "NumbersMath", anchor: "math-functions" },
+  { name: "pi", signature: "pi(): float", summary: "Returns π, the same as M_PI.", section: "NumbersMath", anchor: "math-functions" },
+  { name: "rand", signature: "rand(int $min = 0, int $max = getrandmax()): int", summary: "Random integer (an alias of mt_rand() since PHP 7.1).", section: "NumbersMath", anchor: "math-functions" },
+  { name: "mt_rand", signature: "mt_rand(int $min = 0, int $max = mt_getrandmax()): int", summary: "Random integer from the Mersenne Twister generator.", section: "NumbersMath", anchor: "math-functions" },
+  { name: "random_int", signature: "random_int(int $min, int $max): int", summary: "Cryptographically secure random integer." },
+  { name: "intdiv", signature: "intdiv(int $num1, int $num2): int", summary: "Integer division." },
+  { name: "fmod", signature: "fmod(float $num1, float $num2): float", summary: "Floating-point remainder of a division." },
+  { name: "is_nan", signature: "is_nan(float $num): bool", summary: "Checks whether a float is NAN.", section: "NumbersMath", anchor: "special-values" },
+  { name: "is_infinite", signature: "is_infinite(float $num): bool", summary: "Checks whether a float is INF or -INF.", section: "NumbersMath", anchor: "special-values" },
+
+  // Functions
+  { name: "function_exists", signature: "function_exists(string $function): bool", summary: "Checks whether a function is defined." },
+  { name: "call_user_func", signature: "call_user_func(callable $callback, mixed ...$args): mixed", summary: "Calls a callback with the given arguments." },
+  { name: "func_get_args", signature: "func_get_args(): array", summary: "Returns the arguments passed to the current function." },
+
+  // Files
+  { name: "file_get_contents", signature: "file_get_contents(string $filename, bool $use_include_path = false, ?resource $context = null, int $offset = 0, ?int $length = null): string|false", summary: "Reads a whole file into a string.", section: "IncludeFiles", anchor: "code-example-writing-and-reading-files" },
+  { name: "file_put_contents", signature: "file_put_contents(string $filename, mixed $data, int $flags = 0, ?resource $context = null): int|false", summary: "Writes a string to a file, returning the number of bytes written.", section: "IncludeFiles", anchor: "code-example-writing-and-reading-files" },
+  { name: "file_exists", signature: "file_exists(string $filename): bool", summary: "Checks whether a file or directory exists." },
+  { name: "file", signature: "file(string $filename, int $flags = 0, ?resource $context = null): array|false", summary: "Reads a file into an array of lines." },
+  { name: "fopen", signature: "fopen(string $filename, string $mode, bool $use_include_path = false, ?resource $context = null): resource|false", summary: "Opens a file or URL and returns a handle.", section: "IncludeFiles", anchor: "code-example-writing-and-reading-files" },
+  { name: "fgets", signature: "fgets(resource $stream, ?int $length = null): string|false", summary: "Reads one line from a file handle.", section: "IncludeFiles", anchor: "code-example-writing-and-reading-files" },
+  { name: "fwrite", signature: "fwrite(resource $stream, string $data, ?int $length = null): int|false", summary: "Writes to a file handle." },
+  { name: "fclose", signature: "fclose(resource $stream): bool", summary: "Closes a file handle.", section: "IncludeFiles", anchor: "code-example-writing-and-reading-files" },
+  { name: "unlink", signature: "unlink(string $filename, ?resource $context = null): bool", summary: "Deletes a file." },
+  { name: "mkdir", signature: "mkdir(string $directory, int $permissions = 0777, bool $recursive = false, ?resource $context = null): bool", summary: "Creates a directory." },
+  { name: "scandir", signature: "scandir(string $directory, int $sorting_order = SCANDIR_SORT_ASCENDING, ?resource $context = null): array|false", summary: "Lists the files and directories in a directory." },
+  { name: "basename", signature: "basename(string $path, string $suffix = \"\"): string", summary: "Returns the last component of a path." },
+  { name: "dirname", signature: "dirname(string $path, int $levels = 1): string", summary: "Returns the parent directory of a path." },
+
+  // JSON
+  { name: "json_encode", signature: "json_encode(mixed $value, int $flags = 0, int $depth = 512): string|false", summary: "Returns the JSON representation of a value." },
+  { name: "json_decode", signature: "json_decode(string $json, ?bool $associative = null, int $depth = 512, int $flags = 0): mixed", summary: "Decodes a JSON string; pass true to get arrays instead of objects.", section: "IncludeFiles", anchor: "code-example-writing-and-reading-files" },
+
+  // Dates
+  { name: "date", signature: "date(string $format, ?int $timestamp = null): string", summary: "Formats a Unix timestamp, e.g. date(\"Y-m-d\")." },
+  { name: "time", signature: "time(): int", summary: "Returns the current Unix timestamp." },
+  { name: "mktime", signature: "mktime(int $hour, ?int $minute = null, ?int $second = null, ?int $month = null, ?int $day = null, ?int $year = null): int|false", summary: "Returns the Unix timestamp for a date." },
+  { name: "strtotime", signature: "strtotime(string $datetime, ?int $baseTimestamp = null): int|false", summary: "Parses an English date description into a timestamp." },
+
+  // Requests
+  { name: "header", signature: "header(string $header, bool $replace = true, int $response_code = 0): void", summary: "Sends a raw HTTP response header.", section: "SuperGlobals", anchor: "code-example-headers-and-cookies" },
+  { name: "setcookie", signature: "setcookie(string $name, string $value = \"\", int $expires_or_options = 0, string $path = \"\", string $domain = \"\", bool $secure = false, bool $httponly = false): bool", summary: "Sends a cookie with the response.", section: "SuperGlobals", anchor: "code-example-headers-and-cookies" },
+  { name: "http_response_code", signature: "http_response_code(int $response_code = 0): int|bool", summary: "Gets or sets the HTTP response status code." },
+  { name: "session_start", signature: "session_start(array $options = []): bool", summary: "Starts or resumes a session, filling $_SESSION.", section: "SuperGlobals" },
+  { name: "filter_var", signature: "filter_var(mixed $value, int $filter = FILTER_DEFAULT, array|int $options = 0): mixed", summary: "Validates or sanitizes a value, e.g. with FILTER_VALIDATE_EMAIL.", section: "SuperGlobals", anchor: "code-example-handling-a-submitted-form" },
+  { name: "urlencode", signature: "urlencode(string $string): string", summary: "URL-encodes a string for a query parameter." },
+  { name: "http_build_query", signature: "http_build_query(array|object $data, string $numeric_prefix = \"\", ?string $arg_separator = null, int $encoding_type = PHP_QUERY_RFC1738): string", summary: "Builds a URL-encoded query string from an array." },
+
+  // Includes and control
+  { name: "require_once", signature: "require_once string $path", summary: "Includes a file once; a missing file is a fatal error.", section: "IncludeFiles" },
+  { name: "require", signature: "require string $path", summary: "Includes a file; a missing file is a fatal error.", section: "IncludeFiles" },
+  { name: "include", signature: "include string $path", summary: "Includes a file; a missing file is only a warning.", section: "IncludeFiles" },
+  { name: "include_once", signature: "include_once string $path", summary: "Includes a file once; a missing file is only a warning.", section: "IncludeFiles" },
+  { name: "exit", signature: "exit(string|int $status = 0): never", summary: "Prints a message (or sets an exit code) and stops the script." },
+  { name: "die", signature: "die(string|int $status = 0): never", summary: "An alias of exit()." },
+  { name: "phpversion", signature: "phpversion(?string $extension = null): string|false", summary: "Returns the running PHP version." },
+];
+
+const BY_NAME = new Map(PHP_BUILTINS.map((builtin) => [builtin.name, builtin]));
+
+export function lookupBuiltin(name) {
+  return BY_NAME.get(String(name).toLowerCase()) || null;
+}
+
+// Built-ins starting with `prefix` (case-insensitive), in catalogue order.
+export function builtinsStartingWith(prefix) {
+  const lower = prefix.toLowerCase();
+  return PHP_BUILTINS.filter((builtin) => builtin.name.startsWith(lower));
+}
@@ -0,0 +1,81 @@
+// A runner's SQLite database. Runners with a `database` get the sqlite
+// extension (see phpEnvironment.js) and a fresh file at DATABASE_PATH before
+// every run, seeded with their schema and fixtures, so scripts can open it
+// with `new PDO('sqlite:/data/app.sqlite')`. After the run the session reads
+// the tables back for the output panel's table viewer.
+import { normalizeExtensions } from "./phpEnvironment";
+import { phpString } from "./phpRequest";
+
+export const DATABASE_PATH = "/data/app.sqlite";
+export const DATABASE_DSN = `sqlite:${DATABASE_PATH}`;
+
+// Rows read back per table; the viewer shows the total as well.
+export const MAX_TABLE_ROWS = 50;
+
+// Accepts `{ schema, fixtures }` SQL, or a string of SQL used as the schema.
+// Returns null when there is nothing to seed.
+export function normalizeDatabase(database) {
+  if (!database) return null;
+  const { schema = "", fixtures = "" } = typeof database === "string" ? { schema: database } : database;
+  if (!String(schema).trim() && !String(fixtures).trim()) return null;
+  return { schema: String(schema).trim(), fixtures: String(fixtures).trim() };
+}
+
+// The runner's extensions, with sqlite added when it has a database.
+export function withDatabaseExtension(extensions, database) {
+  return normalizeExtensions([...normalizeExtensions(extensions), ...(normalizeDatabase(database) ? ["sqlite"] : [])]);
+}
+
+const NO_SQLITE = `['type' => E_WARNING, 'message' => 'SQLite is not loaded, so the database was not created', 'file' => null, 'line' => null]`;
+
+// Runs the schema, then the fixtures. A failing statement is reported as a
+// warning, since the script would otherwise fail on a half-seeded database
+// with a less helpful message.
+export function buildSeedScript(database) {
+  const seed = normalizeDatabase(database);
+  if (!seed) return null;
+  return `<?php
+if (!class_exists('PDO') || !in_array('sqlite', PDO::getAvailableDrivers(), true)) {
+  __runner_diagnostics(${NO_SQLITE});
+} else {
+  try {
+    $__runner_db = new PDO(${phpString(DATABASE_DSN)});
+    $__runner_db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+    foreach (['schema' => ${phpString(seed.schema)}, 'fixtures' => ${phpString(seed.fixtures)}] as $__runner_part => $__runner_sql) {
+      if ($__runner_sql !== '') $__runner_db->exec($__runner_sql);
+    }
+  } catch (PDOException $e) {
+    __runner_diagnostics(['type' => E_WARNING, 'message' => "The database $__runner_part could not be loaded: " . $e->getMessage(), 'file' => null, 'line' => null]);
+  }
+  unset($__runner_db, $__runner_part, $__runner_sql, $e);
+}
+`;
+}
+
+// Prints the tables as JSON: [{ name, columns, rows, count }], rows as
+// arrays in column order.
+export const INSPECT_DATABASE = `<?php
+(function () {
+  if (!class_exists('PDO') || !in_array('sqlite', PDO::getAvailableDrivers(), true)) {
+    echo '[]';
+    return;
+  }
+  $tables = [];
+  try {
+    $db = new PDO(${phpString(DATABASE_DSN)});
+    $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+    $names = $db->query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")->fetchAll(PDO::FETCH_COLUMN);
+    foreach ($names as $name) {
+      $table = '"' . str_replace('"', '""', $name) . '"';
+      $tables[] = [
+        'name' => $name,
+        'columns' => array_column($db->query("PRAGMA table_info($table)")->fetchAll(PDO::FETCH_ASSOC), 'name'),
+        'rows' => $db->query("SELECT * FROM $table LIMIT ${MAX_TABLE_ROWS}")->fetchAll(PDO::FETCH_NUM),
+        'count' => (int) $db->query("SELECT COUNT(*) FROM $table")->fetchColumn(),
+      ];
+    }
+  } catch (PDOException $e) {
+  }
+  echo json_encode($tables, JSON_INVALID_UTF8_SUBSTITUTE | JSON_PARTIAL_OUTPUT_ON_ERROR);
+})();
+`;
@@ -0,0 +1,25 @@
+import { buildSeedScript, normalizeDatabase, withDatabaseExtension } from './phpDatabase';
+
+test('accepts a schema and fixtures, or a schema on its own', () => {
+  expect(normalizeDatabase({ schema: ' CREATE TABLE t (a);\n', fixtures: 'INSERT INTO t VALUES (1);' })).toEqual({
+    schema: 'CREATE TABLE t (a);',
+    fixtures: 'INSERT INTO t VALUES (1);',
+  });
+  expect(normalizeDatabase('CREATE TABLE t (a);')).toEqual({ schema: 'CREATE TABLE t (a);', fixtures: '' });
+  expect(normalizeDatabase({ schema: '  ' })).toBeNull();
+  expect(normalizeDatabase(undefined)).toBeNull();
+});
+
+test('loads sqlite for runners with a database', () => {
+  expect(withDatabaseExtension(['mbstring'], { schema: 'CREATE TABLE t (a);' })).toEqual(['mbstring', 'sqlite']);
+  expect(withDatabaseExtension(undefined, null)).toEqual([]);
+});
+
+test('seeds the schema before the fixtures', () => {
+  const script = buildSeedScript({ schema: "CREATE TABLE t (a TEXT DEFAULT 'x');", fixtures: 'INSERT INTO t DEFAULT VALUES;' });
+  expect(script).toContain("new PDO('sqlite:/data/app.sqlite')");
+  expect(script).toContain(
+    "['schema' => 'CREATE TABLE t (a TEXT DEFAULT \\'x\\');', 'fixtures' => 'INSERT INTO t DEFAULT VALUES;']"
+  );
+  expect(buildSeedScript(null)).toBeNull();
+});
@@ -0,0 +1,69 @@
+// Turns PHP error levels (the E_* constants) into the severities the runner
+// shows, and cleans up messages that mention php-wasm's script name.
+import { APP_ROOT } from "./phpFiles";
+
+const SCRIPT_NAME = "php-wasm run script";
+
+const SEVERITY_BY_TYPE = {
+  1: "fatal", // E_ERROR
+  2: "warning", // E_WARNING
+  4: "parse", // E_PARSE
+  8: "notice", // E_NOTICE
+  16: "fatal", // E_CORE_ERROR
+  32: "warning", // E_CORE_WARNING
+  64: "fatal", // E_COMPILE_ERROR
+  128: "warning", // E_COMPILE_WARNING
+  256: "fatal", // E_USER_ERROR
+  512: "warning", // E_USER_WARNING
+  1024: "notice", // E_USER_NOTICE
+  2048: "notice", // E_STRICT
+  4096: "fatal", // E_RECOVERABLE_ERROR
+  8192: "deprecated", // E_DEPRECATED
+  16384: "deprecated", // E_USER_DEPRECATED
+};
+
+export const SEVERITY_LABELS = {
+  fatal: "Fatal error",
+  parse: "Parse error",
+  warning: "Warning",
+  notice: "Notice",
+  deprecated: "Deprecated",
+};
+
+export function severityOf(type) {
+  return SEVERITY_BY_TYPE[type] || "warning";
+}
+
+export function isFatal(diagnostic) {
+  return diagnostic.severity === "fatal" || diagnostic.severity === "parse";
+}
+
+// Uncaught exceptions arrive as "Uncaught Error: ... in /app/index.php:2\nStack
+// trace: ..."; keep the first line, drop the trailing location (the runner
+// shows file and line separately) and make other paths relative to the app.
+export function cleanMessage(message) {
+  const [firstLine] = String(message).split("\n");
+  return firstLine
+    .replace(/^PHP Request Startup: /, "")
+    .replace(new RegExp(` in (${SCRIPT_NAME}|\\S+):(\\d+)$`), "")
+    .replace(new RegExp(`in ${SCRIPT_NAME}:(\\d+)`, "g"), "on line $1")
+    .split(`${APP_ROOT}/`)
+    .join("");
+}
+
+// Paths under the app root become file names ("helpers.php"); anything else,
+// such as the engine's own setup scripts, has no file.
+function relativeFile(file) {
+  const path = String(file || "");
+  return path.startsWith(`${APP_ROOT}/`) ? path.slice(APP_ROOT.length + 1) : null;
+}
+
+export function toDiagnostic({ type, message, file, line }) {
+  return {
+    type,
+    severity: severityOf(type),
+    message: cleanMessage(message),
+    file: relativeFile(file),
+    line: Number(line) || null,
+  };
+}
@@ -0,0 +1,40 @@
+import { isFatal, toDiagnostic } from './phpDiagnostics';
+
+test('maps PHP error levels to severities', () => {
+  expect(toDiagnostic({ type: 2, message: 'Undefined array key 1', line: 3 })).toEqual({
+    type: 2,
+    severity: 'warning',
+    message: 'Undefined array key 1',
+    file: null,
+    line: 3,
+  });
+  expect(toDiagnostic({ type: 16384, message: 'old', line: 1 }).severity).toBe('deprecated');
+  expect(isFatal(toDiagnostic({ type: 4, message: 'syntax error', line: 2 }))).toBe(true);
+});
+
+test('trims uncaught exception traces down to the message', () => {
+  const diagnostic = toDiagnostic({
+    type: 1,
+    message:
+      'Uncaught Error: Call to undefined function nope() in php-wasm run script:2\nStack trace:\n#0 {main}\n  thrown',
+    line: '2',
+  });
+  expect(diagnostic.message).toBe('Uncaught Error: Call to undefined function nope()');
+  expect(diagnostic.line).toBe(2);
+  expect(toDiagnostic({ type: 64, message: 'Cannot redeclare f() (previously declared in php-wasm run script:1)' }).message).toBe(
+    'Cannot redeclare f() (previously declared on line 1)'
+  );
+});
+
+test('reports files under the app root by name', () => {
+  const diagnostic = toDiagnostic({
+    type: 1,
+    message: 'Uncaught Error: Call to undefined function greet() in /app/lib/helpers.php:4\nStack trace:\n#0 {main}',
+    file: '/app/lib/helpers.php',
+    line: 4,
+  });
+  expect(diagnostic).toMatchObject({ file: 'lib/helpers.php', line: 4, message: 'Uncaught Error: Call to undefined function greet()' });
+  expect(
+    toDiagnostic({ type: 2, message: "PHP Request Startup: Failed opening '/app/missing.php' for inclusion", file: 'php-wasm run script' })
+  ).toMatchObject({ file: null, message: "Failed opening 'missing.php' for inclusion" });
+});
@@ -0,0 +1,281 @@
+// Shared php-wasm engines, one per PHP version and set of extensions.
+// Every LiveCodeRunner on the page using the same ones talks to the same Web
+// Worker. Runs are queued and sent to the worker one at a time, so output from
+// two runners never interleaves.
+import phpWasmPackage from "php-wasm/package.json";
+import createPhpWorker from "./createPhpWorker";
+import { extensionLibs, normalizeExtensions } from "./phpEnvironment";
+import { normalizeFiles, resolveEntry } from "./phpFiles";
+import { DEFAULT_PHP_VERSION } from "./phpVersions";
+
+// The first load downloads and compiles a ~15 MB wasm binary.
+const INIT_TIMEOUT_MS = 60000;
+const RUNTIME_URL = `${process.env.PUBLIC_URL || ""}/php-wasm/PhpWeb.mjs`;
+// Copied there from the php-wasm-* packages by scripts/copy-php-wasm.js.
+const EXTENSIONS_URL = `${process.env.PUBLIC_URL || ""}/php-wasm/ext`;
+
+// Optional comma-separated list of php-wasm module URLs to try when the bundled
+// runtime fails to load, e.g.
+// REACT_APP_PHP_WASM_CDN=https://cdn.jsdelivr.net/npm/php-wasm@{version}/PhpWeb.mjs
+// `{version}` is replaced with the php-wasm version pinned in package.json.
+function cdnSources() {
+  return (process.env.REACT_APP_PHP_WASM_CDN || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => url.replace("{version}", phpWasmPackage.version));
+}
+
+function abortError(signal) {
+  const reason = signal && signal.reason;
+  if (reason instanceof Error) return reason;
+  return new Error(typeof reason === "string" ? reason : "Execution stopped");
+}
+
+function createEngine(version, extensions) {
+  let worker = null;
+  let readyPromise = null;
+  let status = "idle";
+  let nextId = 0;
+  let active = null;
+  const queue = [];
+  const listeners = new Set();
+
+  function setStatus(next) {
+    if (status === next) return;
+    status = next;
+    listeners.forEach((listener) => listener(status));
+  }
+
+  function settle(job, error, result) {
+    if (job.signal) job.signal.removeEventListener("abort", job.onAbort);
+    if (error) job.reject(error);
+    else job.resolve(result);
+  }
+
+  function pump() {
+    if (active || queue.length === 0 || status !== "ready") return;
+    active = queue.shift();
+    setStatus("busy");
+    worker.postMessage({
+      type: "run",
+      files: active.files,
+      entry: active.entry,
+      request: active.request,
+      tests: active.tests,
+      ini: active.ini,
+      database: active.database,
+      stateful: active.stateful,
+      id: active.id,
+    });
+    if (active.onStart) active.onStart();
+  }
+
+  function finishActive(error, result) {
+    const job = active;
+    active = null;
+    setStatus("ready");
+    if (job) settle(job, error, result);
+    pump();
+  }
+
+  function handleMessage(msg) {
+    if (!active || msg.id !== active.id) return;
+
+    if (msg.type === "error" || msg.error) {
+      finishActive(new Error(msg.error || msg.message || "Unknown error"));
+      return;
+    }
+
+    finishActive(null, {
+      stdout: String(msg.stdout || ""),
+      stderr: String(msg.stderr || ""),
+      diagnostics: msg.diagnostics || [],
+      files: msg.files || [],
+      exitCode: msg.exitCode,
+      tests: msg.tests,
+      database: msg.database,
+      response: msg.response,
+    });
+  }
+
+  function stopWorker() {
+    if (worker) {
+      worker.onmessage = null;
+      worker.onerror = null;
+      try {
+        worker.terminate();
+      } catch (e) {}
+    }
+    worker = null;
+    readyPromise = null;
+  }
+
+  // `initialStatus` lets a restart show up as "restarting" rather than a
+  // first-time "loading" while the new worker boots.
+  function start(initialStatus = "loading") {
+    if (readyPromise) return readyPromise;
+
+    setStatus(initialStatus);
+    readyPromise = new Promise((resolve, reject) => {
+      let initTimeout = null;
+      let initialised = false;
+      const fail = (error) => {
+        clearTimeout(initTimeout);
+        stopWorker();
+        setStatus("error");
+        queue.splice(0).forEach((job) => settle(job, error));
+        reject(error);
+      };
+
+      try {
+        worker = createPhpWorker();
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      initTimeout = setTimeout(() => {
+        fail(new Error("Worker initialization timeout"));
+      }, INIT_TIMEOUT_MS);
+
+      worker.onmessage = (e) => {
+        const msg = e.data;
+
+        if (msg.type === "ready" || msg.ready === true) {
+          clearTimeout(initTimeout);
+          initialised = true;
+          setStatus("ready");
+          resolve();
+          pump();
+          return;
+        }
+
+        if (!initialised && msg.type === "error") {
+          fail(new Error(msg.error || "PHP initialization failed"));
+          return;
+        }
+
+        handleMessage(msg);
+      };
+
+      worker.onerror = (error) => {
+        console.error("Worker error:", error);
+        if (!initialised) {
+          fail(new Error(error.message || "Worker failed to start"));
+        } else {
+          const job = respawn();
+          if (job) settle(job, new Error("Worker error: " + (error.message || "unknown")));
+        }
+      };
+
+      worker.postMessage({
+        type: "init",
+        options: {
+          version,
+          runtimeUrl: new URL(RUNTIME_URL, window.location.href).href,
+          sharedLibs: extensionLibs(extensions, version, (extension, file) =>
+            new URL(`${EXTENSIONS_URL}/${extension}/${file}`, window.location.href).href
+          ),
+          cdnSources: cdnSources(),
+        },
+      });
+    });
+
+    return readyPromise;
+  }
+
+  // Terminates the worker, killing whatever script it is stuck in, and boots a
+  // fresh one. Runs queued by other runners stay queued and go to the new
+  // worker once it is ready. Returns the job that was running, if any, so the
+  // caller can reject it.
+  function respawn() {
+    const job = active;
+    active = null;
+    stopWorker();
+    start("restarting").catch(() => {});
+    return job;
+  }
+
+  // Queues `code` for execution and resolves with `{ stdout, stderr,
+  // diagnostics, files, exitCode }`. For multi-file runners pass `files` and
+  // `entry` instead (see phpFiles.js); `code` then is ignored. `request`
+  // describes the simulated HTTP request (see phpRequest.js). `tests` is the
+  // PHP source of an exercise's hidden tests; their results come back as
+  // `tests: [{ name, passed, message }]`. `ini` is php.ini-style settings
+  // applied before the script (see phpEnvironment.js), and `database` the
+  // schema and fixtures to seed SQLite with (see phpDatabase.js); its tables
+  // come back as `database`. `stateful` runs also return the status and
+  // headers the script sent as `response` (see phpResponse.js). `onStart` is
+  // called when the job leaves the queue and reaches the worker. Aborting the
+  // signal rejects the promise; if the job is already running, the worker is
+  // restarted so the script really stops.
+  function run(code, { signal, onStart, request, files, entry, tests, ini, database, stateful } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const mounted = normalizeFiles(files, code);
+      const job = {
+        id: ++nextId,
+        files: mounted,
+        entry: resolveEntry(mounted, entry),
+        request,
+        tests,
+        ini,
+        database,
+        stateful,
+        resolve,
+        reject,
+        signal,
+        onStart,
+      };
+      job.onAbort = () => {
+        if (active === job) {
+          respawn();
+          settle(job, abortError(signal));
+          return;
+        }
+        const index = queue.indexOf(job);
+        if (index !== -1) queue.splice(index, 1);
+        settle(job, abortError(signal));
+      };
+      if (signal) signal.addEventListener("abort", job.onAbort);
+
+      queue.push(job);
+      start().then(pump, () => {});
+    });
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    run,
+    start,
+    restart: () => {
+      const job = respawn();
+      if (job) settle(job, new Error("Engine restarted"));
+    },
+    subscribe,
+    getStatus: () => status,
+  };
+}
+
+const sharedEngines = new Map();
+
+// Each version, with each set of extensions, gets its own worker, started on
+// first use and kept for the rest of the page's life. Extensions can only be
+// loaded when PHP starts.
+export function getPhpEngine(version = DEFAULT_PHP_VERSION, extensions = []) {
+  const loaded = normalizeExtensions(extensions);
+  const key = [version, ...loaded].join("+");
+  if (!sharedEngines.has(key)) {
+    sharedEngines.set(key, createEngine(version, loaded));
+  }
+  return sharedEngines.get(key);
+}
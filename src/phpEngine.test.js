@@ -0,0 +1,96 @@
+let getPhpEngine;
+let StubPhpWorker;
+
+beforeEach(() => {
+  jest.resetModules();
+  ({ getPhpEngine } = require('./phpEngine'));
+  ({ StubPhpWorker } = require('./createPhpWorker'));
+  StubPhpWorker.instances = [];
+});
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('all callers share one worker and runs are sent one at a time', async () => {
+  const first = getPhpEngine().run('<?php echo 1;');
+  const second = getPhpEngine().run('<?php echo 2;');
+  await flush();
+
+  expect(StubPhpWorker.instances).toHaveLength(1);
+  const worker = StubPhpWorker.instances[0];
+  expect(worker.runs()).toHaveLength(1);
+
+  worker.reply({ type: 'result', id: worker.runs()[0].id, stdout: '1', stderr: '' });
+  await expect(first).resolves.toMatchObject({ stdout: '1' });
+
+  expect(worker.runs()).toHaveLength(2);
+  worker.reply({ type: 'result', id: worker.runs()[1].id, stdout: '2', stderr: '' });
+  await expect(second).resolves.toMatchObject({ stdout: '2' });
+});
+
+test('the worker is initialised with the pinned PHP version', async () => {
+  await getPhpEngine().start();
+  const [init] = StubPhpWorker.instances[0].posted;
+  expect(init).toEqual({ type: 'init', options: expect.objectContaining({ version: '8.3', cdnSources: [] }) });
+});
+
+test('each PHP version gets its own cached worker', async () => {
+  await getPhpEngine('8.1').start();
+  await getPhpEngine('8.4').start();
+  await getPhpEngine('8.1').start();
+
+  expect(StubPhpWorker.instances.map((worker) => worker.posted[0].options.version)).toEqual(['8.1', '8.4']);
+  expect(getPhpEngine('8.1')).toBe(getPhpEngine('8.1'));
+  expect(getPhpEngine()).toBe(getPhpEngine('8.3'));
+});
+
+test('aborting a queued run rejects it without sending it to the worker', async () => {
+  const controller = new AbortController();
+  const first = getPhpEngine().run('<?php echo 1;');
+  const second = getPhpEngine().run('<?php echo 2;', { signal: controller.signal });
+  await flush();
+
+  controller.abort(new Error('Execution stopped'));
+  await expect(second).rejects.toThrow('Execution stopped');
+
+  const worker = StubPhpWorker.instances[0];
+  worker.reply({ type: 'result', id: worker.runs()[0].id, stdout: '1', stderr: '' });
+  await first;
+  expect(worker.runs()).toHaveLength(1);
+});
+
+test('stopping a running script restarts the worker and keeps other runs queued', async () => {
+  const engine = getPhpEngine();
+  const statuses = [];
+  engine.subscribe((status) => statuses.push(status));
+
+  const controller = new AbortController();
+  const runaway = engine.run('<?php while (true) {}', { signal: controller.signal });
+  const next = engine.run('<?php echo "next";');
+  await flush();
+
+  const [stuck] = StubPhpWorker.instances;
+  controller.abort(new Error('Execution stopped'));
+  await expect(runaway).rejects.toThrow('Execution stopped');
+  expect(stuck.terminated).toBe(true);
+  expect(engine.getStatus()).toBe('restarting');
+
+  await flush();
+  const fresh = StubPhpWorker.instances[1];
+  expect(fresh.runs()).toHaveLength(1);
+  fresh.reply({ type: 'result', id: fresh.runs()[0].id, stdout: 'next', stderr: '' });
+  await expect(next).resolves.toMatchObject({ stdout: 'next' });
+  expect(statuses).toContain('restarting');
+});
+
+test('extensions get a worker of their own that loads them at start', async () => {
+  await getPhpEngine('8.2', ['mbstring', 'mbstring']).start();
+  await getPhpEngine('8.2').start();
+
+  const [withExtension, plain] = StubPhpWorker.instances;
+  expect(withExtension.posted[0].options.sharedLibs.map((lib) => lib.url)).toEqual([
+    'http://localhost/php-wasm/ext/mbstring/php8.2-mbstring.so',
+    'http://localhost/php-wasm/ext/mbstring/libonig.so',
+  ]);
+  expect(plain.posted[0].options.sharedLibs).toEqual([]);
+  expect(getPhpEngine('8.2', ['mbstring'])).toBe(getPhpEngine('8.2', 'mbstring'));
+});
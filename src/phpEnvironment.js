@@ -0,0 +1,109 @@
+// A runner's PHP environment: ini settings, applied before each run, and
+// extra extensions, loaded when the engine starts. buildIniScript() turns the
+// settings into PHP; extensionLibs() lists the shared libraries php-wasm
+// loads for the extensions.
+import { phpString } from "./phpRequest";
+
+// Compiled into every php-wasm build, so always on.
+export const BUILTIN_EXTENSIONS = [
+  "bcmath",
+  "calendar",
+  "ctype",
+  "date",
+  "exif",
+  "filter",
+  "hash",
+  "json",
+  "pcre",
+  "PDO",
+  "random",
+  "Reflection",
+  "session",
+  "SPL",
+  "standard",
+  "tokenizer",
+];
+
+// Extensions shipped as php-wasm-* packages. scripts/copy-php-wasm.js copies
+// each package's libraries to public/php-wasm/ext/<name>/; `libs` are the
+// files to load for a PHP version, those with `ini` are PHP extensions and
+// the rest libraries they link against.
+export const OPTIONAL_EXTENSIONS = {
+  mbstring: {
+    package: "php-wasm-mbstring",
+    summary: "Multibyte strings: mb_strlen(), mb_strtoupper(), …",
+    libs: (version) => [{ name: `php${version}-mbstring.so`, ini: true }, { name: "libonig.so" }],
+  },
+  sqlite: {
+    package: "php-wasm-sqlite",
+    summary: "SQLite databases: PDO's sqlite driver and SQLite3",
+    libs: (version) => [
+      { name: `php${version}-sqlite.so`, ini: true },
+      { name: `php${version}-pdo-sqlite.so`, ini: true },
+      { name: "libsqlite3.so" },
+    ],
+  },
+};
+
+// Accepts settings as php.ini lines or as an object, e.g.
+// { display_errors: "1", "date.timezone": "Europe/Paris" }.
+export function normalizeIni(ini) {
+  if (!ini) return "";
+  if (typeof ini === "string") return ini.trim();
+  return Object.entries(ini)
+    .map(([name, value]) => `${name} = ${value}`)
+    .join("\n");
+}
+
+// Known optional extensions, sorted, without duplicates. Built-in ones are
+// dropped since they are always loaded.
+export function normalizeExtensions(extensions) {
+  const list = typeof extensions === "string" ? extensions.split(/[\s,]+/) : extensions || [];
+  return [...new Set(list.filter((name) => OPTIONAL_EXTENSIONS[name]))].sort();
+}
+
+// Requested extensions php-wasm has no build of.
+export function unavailableExtensions(extensions) {
+  const list = typeof extensions === "string" ? extensions.split(/[\s,]+/) : extensions || [];
+  const builtin = BUILTIN_EXTENSIONS.map((name) => name.toLowerCase());
+  return list.filter((name) => name && !OPTIONAL_EXTENSIONS[name] && !builtin.includes(name.toLowerCase()));
+}
+
+// php-wasm `sharedLibs` entries for the extensions. `locate(extension, file)`
+// returns the URL of one of an extension's files.
+export function extensionLibs(extensions, version, locate) {
+  return normalizeExtensions(extensions).flatMap((extension) =>
+    OPTIONAL_EXTENSIONS[extension].libs(version).map((lib) => ({ ...lib, url: locate(extension, lib.name) }))
+  );
+}
+
+// parse_ini_string() reads the settings the way php.ini would, so constants
+// like `E_ALL & ~E_NOTICE` work. Settings PHP only accepts at startup (or
+// does not know) are reported as warnings.
+export function buildIniScript(ini) {
+  const text = normalizeIni(ini);
+  if (!text) return null;
+  return `<?php
+$__runner_ini = @parse_ini_string(${phpString(text)});
+if ($__runner_ini === false) {
+  __runner_diagnostics(['type' => E_WARNING, 'message' => 'The ini settings could not be parsed', 'file' => null, 'line' => null]);
+}
+foreach ($__runner_ini ?: [] as $name => $value) {
+  if (ini_set($name, is_array($value) ? '' : (string) $value) === false) {
+    __runner_diagnostics(['type' => E_WARNING, 'message' => "ini setting $name cannot be changed by a script (unknown, or php.ini only)", 'file' => null, 'line' => null]);
+  }
+}
+unset($__runner_ini, $name, $value);
+`;
+}
+
+// Summary for the Environment panel, e.g. "display_errors=1 · mbstring".
+export function describeEnvironment(ini, extensions) {
+  const names = normalizeIni(ini)
+    .split("\n")
+    .map((line) => line.replace(/[;#].*$/, "").trim())
+    .filter((line) => line && !line.startsWith("["))
+    .map((line) => line.replace(/\s*=\s*/, "="));
+  const parts = [...names, ...normalizeExtensions(extensions)];
+  return parts.length ? parts.join(" · ") : "defaults";
+}
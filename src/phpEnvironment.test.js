@@ -0,0 +1,37 @@
+import {
+  buildIniScript,
+  describeEnvironment,
+  extensionLibs,
+  normalizeExtensions,
+  normalizeIni,
+  unavailableExtensions,
+} from './phpEnvironment';
+
+test('accepts ini settings as php.ini lines or an object', () => {
+  expect(normalizeIni('  display_errors = 1\n')).toBe('display_errors = 1');
+  expect(normalizeIni({ display_errors: 1, 'date.timezone': 'UTC' })).toBe('display_errors = 1\ndate.timezone = UTC');
+  expect(normalizeIni(undefined)).toBe('');
+  expect(buildIniScript('')).toBeNull();
+  expect(buildIniScript({ precision: 4 })).toContain("parse_ini_string('precision = 4')");
+});
+
+test('keeps the optional extensions php-wasm can load', () => {
+  expect(normalizeExtensions(['mbstring', 'intl', 'mbstring'])).toEqual(['mbstring']);
+  expect(normalizeExtensions('mbstring, json')).toEqual(['mbstring']);
+  expect(unavailableExtensions(['mbstring', 'json', 'intl', 'PDO'])).toEqual(['intl']);
+});
+
+test('lists the shared libraries of each extension for a PHP version', () => {
+  const libs = extensionLibs(['mbstring'], '8.1', (extension, file) => `/ext/${extension}/${file}`);
+  expect(libs).toEqual([
+    { name: 'php8.1-mbstring.so', ini: true, url: '/ext/mbstring/php8.1-mbstring.so' },
+    { name: 'libonig.so', url: '/ext/mbstring/libonig.so' },
+  ]);
+});
+
+test('summarises the environment without comments or sections', () => {
+  expect(describeEnvironment('; quiet\n[PHP]\nerror_reporting = E_ALL', ['mbstring'])).toBe(
+    'error_reporting=E_ALL · mbstring'
+  );
+  expect(describeEnvironment('', [])).toBe('defaults');
+});
@@ -0,0 +1,48 @@
+// Files for a runner's virtual filesystem. The engine mounts them under
+// APP_ROOT, makes that the working directory and includes the entry file, so
+// `include 'helpers.php'` and `file_put_contents('out.txt', ...)` behave as
+// they would next to index.php on a server.
+
+export const APP_ROOT = "/app";
+export const DEFAULT_ENTRY = "index.php";
+
+// Accepts `{ "index.php": "<?php ...", "helpers.php": "..." }` or
+// `[{ name, code }]`; a lone `code` string becomes index.php.
+export function normalizeFiles(files, code = "") {
+  if (!files) return [{ name: DEFAULT_ENTRY, code }];
+  const list = Array.isArray(files)
+    ? files.map(({ name, code: fileCode }) => ({ name, code: fileCode || "" }))
+    : Object.entries(files).map(([name, fileCode]) => ({ name, code: fileCode || "" }));
+  return list.map((file) => ({ ...file, name: cleanFileName(file.name) }));
+}
+
+export function cleanFileName(name) {
+  return String(name || "")
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/^(\.?\/)+/, "")
+    .split("/")
+    .filter((part) => part && part !== "." && part !== "..")
+    .join("/");
+}
+
+export function resolveEntry(files, entry) {
+  if (entry && files.some((file) => file.name === entry)) return entry;
+  if (files.some((file) => file.name === DEFAULT_ENTRY)) return DEFAULT_ENTRY;
+  return files.length ? files[0].name : DEFAULT_ENTRY;
+}
+
+// Files the script created or changed, compared with what was mounted.
+export function changedFiles(before, after) {
+  const original = new Map(before.map((file) => [file.name, file.code]));
+  return (after || []).filter((file) => original.get(file.name) !== file.code);
+}
+
+export function uniqueFileName(files, base = "untitled.php") {
+  const names = new Set(files.map((file) => file.name));
+  if (!names.has(base)) return base;
+  const [stem, ext] = base.includes(".") ? [base.slice(0, base.lastIndexOf(".")), base.slice(base.lastIndexOf("."))] : [base, ""];
+  let index = 2;
+  while (names.has(`${stem}-${index}${ext}`)) index += 1;
+  return `${stem}-${index}${ext}`;
+}
@@ -0,0 +1,18 @@
+import { changedFiles, cleanFileName, normalizeFiles, resolveEntry, uniqueFileName } from './phpFiles';
+
+test('normalizes file maps, file lists and lone code strings', () => {
+  expect(normalizeFiles(null, '<?php echo 1;')).toEqual([{ name: 'index.php', code: '<?php echo 1;' }]);
+  expect(normalizeFiles({ './index.php': 'a', 'lib\\helpers.php': 'b' })).toEqual([
+    { name: 'index.php', code: 'a' },
+    { name: 'lib/helpers.php', code: 'b' },
+  ]);
+  expect(cleanFileName('../../etc/passwd')).toBe('etc/passwd');
+});
+
+test('picks the entry file and finds changed files', () => {
+  const files = [{ name: 'main.php', code: 'a' }, { name: 'helpers.php', code: 'b' }];
+  expect(resolveEntry(files, 'helpers.php')).toBe('helpers.php');
+  expect(resolveEntry(files, 'missing.php')).toBe('main.php');
+  expect(changedFiles(files, [...files, { name: 'out.txt', code: 'hi' }])).toEqual([{ name: 'out.txt', code: 'hi' }]);
+  expect(uniqueFileName([{ name: 'untitled.php' }, { name: 'untitled-2.php' }])).toBe('untitled-3.php');
+});
@@ -0,0 +1,135 @@
+// Simulated HTTP request for a runner. The editable form keeps every part as
+// a string (as it would appear on the wire); buildRequestScript() turns that
+// into PHP that fills the superglobals before the runner's script starts.
+import { DEFAULT_ENTRY } from "./phpFiles";
+
+export const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+export const DEFAULT_REQUEST = {
+  method: "GET",
+  query: "",
+  body: "",
+  headers: "",
+  cookies: "",
+};
+
+function toQueryString(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value.replace(/^\?/, "");
+  return new URLSearchParams(value).toString();
+}
+
+function toHeaderLines(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  return Object.entries(value)
+    .map(([name, headerValue]) => `${name}: ${headerValue}`)
+    .join("\n");
+}
+
+function toCookieString(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  return Object.entries(value)
+    .map(([name, cookieValue]) => `${name}=${cookieValue}`)
+    .join("; ");
+}
+
+// Accepts the `request` prop in either form, e.g.
+// { method: "POST", query: { page: 2 }, body: "name=Ann", cookies: { theme: "dark" } }
+export function normalizeRequest(request) {
+  const merged = { ...DEFAULT_REQUEST, ...(request || {}) };
+  return {
+    method: String(merged.method || "GET").toUpperCase(),
+    query: toQueryString(merged.query),
+    body: toQueryString(merged.body),
+    headers: toHeaderLines(merged.headers),
+    cookies: toCookieString(merged.cookies),
+  };
+}
+
+export function parseHeaders(lines) {
+  const headers = {};
+  String(lines || "")
+    .split("\n")
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      if (separator <= 0) return;
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+  return headers;
+}
+
+export function parseCookies(cookieString) {
+  const cookies = {};
+  String(cookieString || "")
+    .split(";")
+    .forEach((pair) => {
+      const separator = pair.indexOf("=");
+      if (separator <= 0) return;
+      const name = pair.slice(0, separator).trim();
+      const value = pair.slice(separator + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (e) {
+        cookies[name] = value;
+      }
+    });
+  return cookies;
+}
+
+export function describeRequest(request, entry = DEFAULT_ENTRY) {
+  return `${request.method} /${entry}${request.query ? "?" + request.query : ""}`;
+}
+
+export function phpString(value) {
+  return "'" + String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'") + "'";
+}
+
+// `entry` is the file the request is for, as in $_SERVER['PHP_SELF'].
+export function buildRequestScript(request, entry = DEFAULT_ENTRY) {
+  const normalized = normalizeRequest(request);
+  const payload = JSON.stringify({
+    ...normalized,
+    path: `/${entry}`,
+    headers: parseHeaders(normalized.headers),
+    cookies: parseCookies(normalized.cookies),
+  });
+
+  return `<?php
+(function ($request) {
+  $_GET = [];
+  $_POST = [];
+  parse_str($request['query'], $_GET);
+  if (!in_array($request['method'], ['GET', 'HEAD'], true)) {
+    parse_str($request['body'], $_POST);
+  }
+  $_COOKIE = $request['cookies'];
+  $_REQUEST = array_merge($_GET, $_POST);
+  $_SERVER = array_merge($_SERVER, [
+    'REQUEST_METHOD' => $request['method'],
+    'QUERY_STRING' => $request['query'],
+    'REQUEST_URI' => $request['path'] . ($request['query'] !== '' ? '?' . $request['query'] : ''),
+    'SCRIPT_NAME' => $request['path'],
+    'SCRIPT_FILENAME' => $request['path'],
+    'PHP_SELF' => $request['path'],
+    'SERVER_NAME' => 'localhost',
+    'SERVER_PORT' => '80',
+    'SERVER_PROTOCOL' => 'HTTP/1.1',
+    'REMOTE_ADDR' => '127.0.0.1',
+    'HTTP_HOST' => 'localhost',
+  ]);
+  if ($request['method'] !== 'GET' && $request['body'] !== '') {
+    $_SERVER['CONTENT_TYPE'] = 'application/x-www-form-urlencoded';
+    $_SERVER['CONTENT_LENGTH'] = (string) strlen($request['body']);
+  }
+  foreach ($request['headers'] as $name => $value) {
+    $key = strtoupper(str_replace('-', '_', $name));
+    $_SERVER[in_array($key, ['CONTENT_TYPE', 'CONTENT_LENGTH'], true) ? $key : 'HTTP_' . $key] = $value;
+  }
+  if ($request['cookies']) {
+    $_SERVER['HTTP_COOKIE'] = http_build_query($request['cookies'], '', '; ');
+  }
+})(json_decode(${phpString(payload)}, true));
+`;
+}
@@ -0,0 +1,34 @@
+import { buildRequestScript, describeRequest, normalizeRequest, parseCookies, parseHeaders, phpString } from './phpRequest';
+
+test('normalizes object and string request descriptions to wire strings', () => {
+  expect(normalizeRequest({ method: 'post', query: { page: 2, q: 'a b' }, cookies: { theme: 'dark' } })).toEqual({
+    method: 'POST',
+    query: 'page=2&q=a+b',
+    body: '',
+    headers: '',
+    cookies: 'theme=dark',
+  });
+  expect(normalizeRequest({ query: '?user=dev', headers: { Accept: 'text/html' } })).toMatchObject({
+    method: 'GET',
+    query: 'user=dev',
+    headers: 'Accept: text/html',
+  });
+});
+
+test('parses header lines and cookie strings', () => {
+  expect(parseHeaders('User-Agent: Test\nbroken line\nX-Id: 1:2')).toEqual({ 'User-Agent': 'Test', 'X-Id': '1:2' });
+  expect(parseCookies('a=1; b=hello%20world; nope')).toEqual({ a: '1', b: 'hello world' });
+});
+
+test('embeds the request as an escaped PHP string literal', () => {
+  expect(phpString("it's a \\ test")).toBe("'it\\'s a \\\\ test'");
+  const script = buildRequestScript({ query: "name=o'neil" });
+  expect(script).toContain("parse_str($request['query'], $_GET);");
+  expect(script).toContain("o\\'neil");
+});
+
+test('describes the request for the file that runs', () => {
+  expect(describeRequest(normalizeRequest({ query: 'page=2' }))).toBe('GET /index.php?page=2');
+  expect(describeRequest(normalizeRequest({ method: 'POST' }), 'login.php')).toBe('POST /login.php');
+  expect(buildRequestScript({}, 'login.php')).toContain('"path":"/login.php"');
+});
@@ -0,0 +1,125 @@
+// The HTTP response of a stateful runner: the status and headers its script
+// sent, read back after the run, and the cookies it set, which the runner
+// keeps in a jar and sends with the next run's request. Session data needs
+// nothing more: PHP's session files stay on the worker's filesystem, and the
+// PHPSESSID cookie in the jar finds them again.
+
+export const RESPONSE_PATH = "/tmp/runner-response.json";
+
+// Runs before a stateful runner's script. Output is buffered, as with
+// output_buffering on a web server, so header() and setcookie() still work
+// after the script has echoed something. The status and headers are saved
+// after the script; a script that calls exit() ends the request before that,
+// so the destructor saves them when the session refreshes php-wasm instead.
+// The session is written then too: php-wasm's refresh does not save session
+// data the way the end of a request on a web server does.
+export const START_RESPONSE = `<?php
+ob_start();
+final class __RunnerResponse {
+  private $saved = false;
+  public function save($afterExit = false) {
+    if ($this->saved) return;
+    $this->saved = true;
+    file_put_contents('${RESPONSE_PATH}', json_encode(['status' => http_response_code(), 'headers' => headers_list()]));
+    if (session_status() === PHP_SESSION_ACTIVE) {
+      session_write_close();
+    } elseif ($afterExit && isset($_SESSION) && session_id() !== '' && ini_get('session.serialize_handler') === 'php') {
+      // The session module has already shut down, so the data is written the
+      // way its files handler would.
+      $data = '';
+      foreach ($_SESSION as $key => $value) {
+        $data .= $key . '|' . serialize($value);
+      }
+      file_put_contents((session_save_path() ?: sys_get_temp_dir()) . '/sess_' . session_id(), $data);
+    }
+  }
+  public function __destruct() {
+    $this->save(true);
+  }
+}
+$__runner_response = new __RunnerResponse();
+`;
+
+export const SAVE_RESPONSE = `
+$__runner_response->save();
+`;
+
+const STATUS_TEXTS = {
+  200: "OK",
+  201: "Created",
+  204: "No Content",
+  301: "Moved Permanently",
+  302: "Found",
+  303: "See Other",
+  304: "Not Modified",
+  307: "Temporary Redirect",
+  308: "Permanent Redirect",
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  405: "Method Not Allowed",
+  422: "Unprocessable Content",
+  500: "Internal Server Error",
+};
+
+export function describeStatus(status) {
+  return STATUS_TEXTS[status] ? `${status} ${STATUS_TEXTS[status]}` : String(status);
+}
+
+// `{ status, headers: ["Name: value", …] }` from the session, as
+// `{ status, headers: [{ name, value }] }`. Like a web server, PHP answers a
+// Location header with 302 unless the script picked a 201 or 3xx status; the
+// embed SAPI php-wasm uses leaves the status unset.
+export function normalizeResponse(raw) {
+  const headers = (raw.headers || []).map((line) => {
+    const separator = line.indexOf(":");
+    return { name: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+  });
+  let status = Number(raw.status) || 200;
+  const redirects = headers.some((header) => header.name.toLowerCase() === "location");
+  if (redirects && status !== 201 && (status < 300 || status > 399)) status = 302;
+  return { status, headers };
+}
+
+// "theme=dark; expires=…; Max-Age=3600; path=/" → { name, value, attributes }.
+export function parseSetCookie(header) {
+  const [pair, ...parts] = String(header).split(";");
+  const separator = pair.indexOf("=");
+  const attributes = {};
+  parts.forEach((part) => {
+    const [key, ...rest] = part.split("=");
+    if (key.trim()) attributes[key.trim().toLowerCase()] = rest.join("=").trim() || true;
+  });
+  return { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim(), attributes };
+}
+
+function isExpired({ attributes }, now) {
+  if (attributes["max-age"] !== undefined) return Number(attributes["max-age"]) <= 0;
+  if (attributes.expires) return Date.parse(attributes.expires) <= now;
+  return false;
+}
+
+// The jar (`{ name: value }`, values as sent) after the response's
+// Set-Cookie headers: new cookies added, expired ones removed.
+export function applySetCookies(jar, response, now = Date.now()) {
+  const next = { ...jar };
+  response.headers
+    .filter((header) => header.name.toLowerCase() === "set-cookie")
+    .map((header) => parseSetCookie(header.value))
+    .filter((cookie) => cookie.name)
+    .forEach((cookie) => {
+      if (isExpired(cookie, now)) delete next[cookie.name];
+      else next[cookie.name] = cookie.value;
+    });
+  return next;
+}
+
+// The request's own cookies followed by the jar's, which win for names in
+// both (parseCookies() keeps the last one).
+export function withCookieJar(cookies, jar) {
+  const fromJar = Object.entries(jar)
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+  return [cookies, fromJar].filter(Boolean).join("; ");
+}
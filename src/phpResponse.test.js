@@ -0,0 +1,47 @@
+import { applySetCookies, describeStatus, normalizeResponse, parseSetCookie, withCookieJar } from './phpResponse';
+
+test('splits headers and defaults the status to 200', () => {
+  expect(normalizeResponse({ status: false, headers: ['Content-type: text/html; charset=UTF-8'] })).toEqual({
+    status: 200,
+    headers: [{ name: 'Content-type', value: 'text/html; charset=UTF-8' }],
+  });
+  expect(normalizeResponse({ status: 404, headers: [] }).status).toBe(404);
+});
+
+test('answers a Location header with 302 unless the script chose a redirect status', () => {
+  expect(normalizeResponse({ status: false, headers: ['Location: /login.php'] }).status).toBe(302);
+  expect(normalizeResponse({ status: 200, headers: ['Location: /login.php'] }).status).toBe(302);
+  expect(normalizeResponse({ status: 303, headers: ['Location: /done.php'] }).status).toBe(303);
+  expect(normalizeResponse({ status: 201, headers: ['Location: /items/4'] }).status).toBe(201);
+});
+
+test('names common statuses', () => {
+  expect(describeStatus(302)).toBe('302 Found');
+  expect(describeStatus(418)).toBe('418');
+});
+
+test('parses Set-Cookie headers', () => {
+  expect(parseSetCookie('PHPSESSID=abc123; path=/; HttpOnly')).toEqual({
+    name: 'PHPSESSID',
+    value: 'abc123',
+    attributes: { path: '/', httponly: true },
+  });
+  expect(parseSetCookie('token=a=b').value).toBe('a=b');
+});
+
+test('keeps set cookies in the jar and drops expired ones', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  const response = (...cookies) => ({ status: 200, headers: cookies.map((value) => ({ name: 'Set-Cookie', value })) });
+
+  const jar = applySetCookies({}, response('theme=dark; path=/', 'lang=en; expires=Tue, 02-Jan-2024 00:00:00 GMT'), now);
+  expect(jar).toEqual({ theme: 'dark', lang: 'en' });
+  expect(applySetCookies(jar, response('theme=deleted; expires=Thu, 01-Jan-1970 00:00:01 GMT; Max-Age=0'), now)).toEqual({
+    lang: 'en',
+  });
+  expect(applySetCookies(jar, response('lang=fr; Max-Age=60'), now)).toEqual({ theme: 'dark', lang: 'fr' });
+});
+
+test('sends the jar after the request cookies so it wins', () => {
+  expect(withCookieJar('theme=light', { theme: 'dark', PHPSESSID: 'abc' })).toBe('theme=light; theme=dark; PHPSESSID=abc');
+  expect(withCookieJar('', {})).toBe('');
+});
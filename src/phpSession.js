@@ -0,0 +1,265 @@
+// Runs one runner's script on a php-wasm instance: mounts its files, fills
+// the superglobals, includes the entry file and collects output, diagnostics
+// and the files left behind. Used by the Web Worker in the browser and by the
+// lesson tests under Node (PhpNode), so both run examples the same way.
+import { buildSeedScript, DATABASE_PATH, INSPECT_DATABASE } from "./phpDatabase";
+import { isFatal, toDiagnostic } from "./phpDiagnostics";
+import { buildIniScript } from "./phpEnvironment";
+import { buildRequestScript, phpString } from "./phpRequest";
+import { RESPONSE_PATH, SAVE_RESPONSE, START_RESPONSE } from "./phpResponse";
+import { APP_ROOT, DEFAULT_ENTRY } from "./phpFiles";
+
+// Text files larger than this are not sent back to the runner after a run.
+const MAX_RETURNED_FILE_SIZE = 100 * 1024;
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+
+// Run before every script in the same request. Notices and warnings go to a
+// handler instead of being echoed into the output (unless the runner's ini
+// settings switch display_errors back on), and fatal errors are read back with
+// error_get_last() once the script has finished.
+const PRELUDE = `<?php
+chdir('${APP_ROOT}');
+set_include_path('.' . PATH_SEPARATOR . '${APP_ROOT}');
+ini_set('display_errors', '0');
+ini_set('html_errors', '0');
+error_reporting(E_ALL);
+function __runner_diagnostics($entry = null) {
+  static $entries = [];
+  if ($entry !== null) {
+    $entries[] = $entry;
+  }
+  return $entries;
+}
+set_error_handler(function ($type, $message, $file, $line) {
+  if (!(error_reporting() & $type)) {
+    return false;
+  }
+  __runner_diagnostics(['type' => $type, 'message' => $message, 'file' => $file, 'line' => $line]);
+  $display = ini_get('display_errors');
+  return !($display === 'stderr' || filter_var($display, FILTER_VALIDATE_BOOLEAN));
+});
+`;
+
+const COLLECT_DIAGNOSTICS = `<?php
+echo json_encode(['handled' => __runner_diagnostics(), 'last' => error_get_last()]);
+`;
+
+// Hidden exercise tests live outside APP_ROOT so the learner's script cannot
+// include them and they are not listed with the files it wrote.
+const TESTS_PATH = "/tmp/runner-tests.php";
+
+// The tests run in the same request after the learner's script, so they can
+// call its functions and read its globals. They report with check() and
+// check_same(); an uncaught exception fails the run as a whole.
+const RUN_TESTS = `<?php
+function __runner_tests($result = null) {
+  static $results = [];
+  if ($result !== null) {
+    $results[] = $result;
+  }
+  return $results;
+}
+function check($name, $passed, $message = '') {
+  __runner_tests(['name' => (string) $name, 'passed' => (bool) $passed, 'message' => (string) $message]);
+}
+function check_same($name, $expected, $actual) {
+  $passed = $expected === $actual;
+  check($name, $passed, $passed ? '' : 'Expected ' . var_export($expected, true) . ', got ' . var_export($actual, true));
+}
+try {
+  include '${TESTS_PATH}';
+} catch (Throwable $e) {
+  check('Tests finished', false, get_class($e) . ': ' . $e->getMessage());
+}
+echo json_encode(__runner_tests());
+`;
+
+const TESTS_DID_NOT_RUN = {
+  name: "Tests finished",
+  passed: false,
+  message: "The script stopped before the tests could run.",
+};
+
+export function createPhpSession(php) {
+  let stdout = [];
+  let stderr = [];
+  php.addEventListener("output", (event) => stdout.push(...event.detail));
+  php.addEventListener("error", (event) => stderr.push(...event.detail));
+
+  async function isDirectory(path) {
+    const { mode } = await php.stat(path);
+    return (mode & S_IFMT) === S_IFDIR;
+  }
+
+  async function listFiles(dir) {
+    const names = (await php.readdir(dir)).filter((name) => name !== "." && name !== "..");
+    const paths = [];
+    for (const name of names) {
+      const path = `${dir}/${name}`;
+      if (await isDirectory(path)) {
+        paths.push(...(await listFiles(path)));
+      } else {
+        paths.push(path);
+      }
+    }
+    return paths;
+  }
+
+  async function removeTree(dir) {
+    for (const name of await php.readdir(dir)) {
+      if (name === "." || name === "..") continue;
+      const path = `${dir}/${name}`;
+      if (await isDirectory(path)) {
+        await removeTree(path);
+        await php.rmdir(path);
+      } else {
+        await php.unlink(path);
+      }
+    }
+  }
+
+  // Extensions are loaded again on every refresh from extension_dir, which is
+  // "./", so the working directory must not be left in APP_ROOT. This goes
+  // through the filesystem rather than PHP, which cannot run again once a
+  // script has called exit().
+  async function refresh() {
+    (await php.binary).FS.chdir("/");
+    await php.refresh();
+  }
+
+  // Replaces whatever the previous run left under APP_ROOT with this runner's
+  // files.
+  async function mountFiles(files) {
+    if ((await php.analyzePath(APP_ROOT)).exists) {
+      await removeTree(APP_ROOT);
+    } else {
+      await php.mkdir(APP_ROOT);
+    }
+
+    for (const file of files) {
+      const parts = file.name.split("/");
+      let dir = APP_ROOT;
+      for (const part of parts.slice(0, -1)) {
+        dir += `/${part}`;
+        if (!(await php.analyzePath(dir)).exists) {
+          await php.mkdir(dir);
+        }
+      }
+      await php.writeFile(`${APP_ROOT}/${file.name}`, file.code);
+    }
+  }
+
+  // Reads the filesystem back so the runner can show files the script wrote.
+  async function readFiles() {
+    const files = [];
+    for (const path of await listFiles(APP_ROOT)) {
+      const { size } = await php.stat(path);
+      if (size > MAX_RETURNED_FILE_SIZE) continue;
+      const code = await php.readFile(path, { encoding: "utf8" });
+      files.push({ name: path.slice(APP_ROOT.length + 1), code: String(code) });
+    }
+    return files;
+  }
+
+  // A script that calls exit() ends the request, so the collector prints
+  // nothing and there is nothing to report.
+  async function collectDiagnostics() {
+    stdout = [];
+    await php.run(COLLECT_DIAGNOSTICS);
+    const report = stdout.join("");
+    if (!report) return [];
+
+    const { handled, last } = JSON.parse(report);
+    const diagnostics = handled.map(toDiagnostic);
+    if (last) {
+      const fatal = toDiagnostic(last);
+      if (isFatal(fatal)) diagnostics.push(fatal);
+    }
+    return diagnostics;
+  }
+
+  // Like the diagnostics collector, the tests print nothing when the script
+  // ended the request with exit() or a fatal error.
+  async function runTests(tests) {
+    const code = /^\s*<\?php/.test(tests) ? tests : `<?php\n${tests}`;
+    await php.writeFile(TESTS_PATH, code);
+    stdout = [];
+    await php.run(RUN_TESTS);
+    const report = stdout.join("");
+    return report ? JSON.parse(report) : [TESTS_DID_NOT_RUN];
+  }
+
+  // The database file is not under APP_ROOT, so it is left out of the files
+  // the run returns, and a previous runner's database is removed like its
+  // files.
+  async function resetDatabase() {
+    const dir = DATABASE_PATH.slice(0, DATABASE_PATH.lastIndexOf("/"));
+    if (!(await php.analyzePath(dir)).exists) {
+      await php.mkdir(dir);
+    } else if ((await php.analyzePath(DATABASE_PATH)).exists) {
+      await php.unlink(DATABASE_PATH);
+    }
+  }
+
+  // The tables of the database, if the runner seeded one or the script
+  // created it.
+  async function readDatabase() {
+    if (!(await php.analyzePath(DATABASE_PATH)).exists) return undefined;
+    stdout = [];
+    await php.run(INSPECT_DATABASE);
+    const report = stdout.join("");
+    return report ? JSON.parse(report) : undefined;
+  }
+
+  // The status and headers a stateful run's script sent. When the script
+  // called exit() they are only saved once php-wasm is refreshed (see
+  // phpResponse.js); the next run refreshes it again anyway.
+  async function readResponse() {
+    if (!(await php.analyzePath(RESPONSE_PATH)).exists) await refresh();
+    if (!(await php.analyzePath(RESPONSE_PATH)).exists) return undefined;
+    const response = await php.readFile(RESPONSE_PATH, { encoding: "utf8" });
+    await php.unlink(RESPONSE_PATH);
+    return JSON.parse(String(response));
+  }
+
+  // `tests` is the PHP source of an exercise's hidden tests, if it has any.
+  // `ini` holds settings to apply first (see phpEnvironment.js) and
+  // `database` the SQL to seed the database with (see phpDatabase.js).
+  // `stateful` runs return the HTTP response as `response` (see
+  // phpResponse.js).
+  async function run({ files, entry = DEFAULT_ENTRY, request, tests, ini, database, stateful }) {
+    // php-wasm keeps one long-lived request; refresh it so functions and
+    // globals declared by the previous runner's script are gone.
+    await refresh();
+    await mountFiles(files);
+    await resetDatabase();
+    await php.run(PRELUDE);
+    await php.run(buildRequestScript(request, entry));
+    const seedScript = buildSeedScript(database);
+    if (seedScript) await php.run(seedScript);
+    const iniScript = buildIniScript(ini);
+    if (iniScript) await php.run(iniScript);
+    if (stateful) await php.run(START_RESPONSE);
+
+    stdout = [];
+    stderr = [];
+    const include = `<?php include ${phpString(`${APP_ROOT}/${entry}`)};`;
+    const exitCode = await php.run(stateful ? include + SAVE_RESPONSE : include);
+    const output = { stdout: stdout.join(""), stderr: stderr.join("") };
+
+    const result = {
+      ...output,
+      diagnostics: await collectDiagnostics(),
+      files: await readFiles(),
+      exitCode,
+    };
+    const tables = await readDatabase();
+    if (tables) result.database = tables;
+    if (stateful) result.response = await readResponse();
+    if (tests) result.tests = await runTests(tests);
+    return result;
+  }
+
+  return { run };
+}
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+// Runs on php-wasm's Node build. Stateful runs return the response, and the
+// session survives from one run to the next when the cookies are sent back.
+import { PhpNode } from 'php-wasm/PhpNode.js';
+import { applySetCookies, normalizeResponse, withCookieJar } from './phpResponse';
+import { createPhpSession } from './phpSession';
+
+let session;
+
+beforeAll(async () => {
+  const php = new PhpNode();
+  await php.binary;
+  session = createPhpSession(php);
+}, 60000);
+
+// Runs `code` like a browser would: with the cookies earlier runs set.
+async function visit(code, jar = {}) {
+  const result = await session.run({
+    files: [{ name: 'index.php', code }],
+    entry: 'index.php',
+    request: { cookies: withCookieJar('', jar) },
+    stateful: true,
+  });
+  const response = normalizeResponse(result.response);
+  return { result, response, jar: applySetCookies(jar, response) };
+}
+
+const COUNTER = `<?php
+session_start();
+$_SESSION['count'] = ($_SESSION['count'] ?? 0) + 1;
+echo $_SESSION['count'];
+`;
+
+test('keeps the session between runs that send its cookie back', async () => {
+  const first = await visit(COUNTER);
+  expect(first.result.stdout).toBe('1');
+  expect(first.jar.PHPSESSID).toBeTruthy();
+
+  const second = await visit(COUNTER, first.jar);
+  expect(second.result.stdout).toBe('2');
+
+  const fresh = await visit(COUNTER);
+  expect(fresh.result.stdout).toBe('1');
+});
+
+test('saves the session and headers of scripts that exit', async () => {
+  const login = await visit(`<?php
+session_start();
+$_SESSION['user'] = 'alice';
+header('Location: /account.php');
+exit;
+`);
+  expect(login.response.status).toBe(302);
+  expect(login.response.headers).toContainEqual({ name: 'Location', value: '/account.php' });
+
+  const account = await visit(`<?php
+session_start();
+echo $_SESSION['user'] ?? 'nobody';
+`, login.jar);
+  expect(account.result.stdout).toBe('alice');
+});
+
+test('lets headers follow output', async () => {
+  const { result, response } = await visit(`<?php
+echo 'Created';
+http_response_code(201);
+setcookie('theme', 'dark');
+`);
+  expect(result.stdout).toBe('Created');
+  expect(result.diagnostics).toEqual([]);
+  expect(response.status).toBe(201);
+  expect(response.headers).toContainEqual({ name: 'Set-Cookie', value: 'theme=dark' });
+});
+
+test('describes the file that runs in $_SERVER', async () => {
+  const result = await session.run({
+    files: [
+      { name: 'index.php', code: '<?php' },
+      { name: 'login.php', code: "<?php echo $_SERVER['PHP_SELF'], ' ', $_SERVER['REQUEST_URI'];" },
+    ],
+    entry: 'login.php',
+    request: { query: 'next=home' },
+  });
+  expect(result.stdout).toBe('/login.php /login.php?next=home');
+});
@@ -0,0 +1,23 @@
+// PHP versions a runner can pick. These are the builds the pinned php-wasm
+// release ships (see scripts/copy-php-wasm.js); it has no PHP 7 build, so an
+// example asking for 7.4 runs on the oldest version available instead.
+export const PHP_VERSIONS = ["8.0", "8.1", "8.2", "8.3", "8.4", "8.5"];
+
+export const DEFAULT_PHP_VERSION = "8.3";
+
+function versionNumber(version) {
+  const [major = 0, minor = 0] = String(version).split(".").map(Number);
+  return major * 100 + minor;
+}
+
+// The available version closest to `requested` ("7.4" → "8.0", "9" → "8.5").
+export function closestPhpVersion(requested) {
+  if (!requested) return DEFAULT_PHP_VERSION;
+  const wanted = String(requested).trim();
+  if (PHP_VERSIONS.includes(wanted)) return wanted;
+  const number = versionNumber(wanted);
+  if (Number.isNaN(number)) return DEFAULT_PHP_VERSION;
+  return PHP_VERSIONS.reduce((best, version) =>
+    Math.abs(versionNumber(version) - number) < Math.abs(versionNumber(best) - number) ? version : best
+  );
+}
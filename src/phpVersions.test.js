@@ -0,0 +1,14 @@
+import { closestPhpVersion, DEFAULT_PHP_VERSION, PHP_VERSIONS } from './phpVersions';
+
+test('keeps versions php-wasm ships', () => {
+  PHP_VERSIONS.forEach((version) => expect(closestPhpVersion(version)).toBe(version));
+  expect(PHP_VERSIONS).toContain(DEFAULT_PHP_VERSION);
+});
+
+test('falls back to the closest available version', () => {
+  expect(closestPhpVersion('7.4')).toBe('8.0');
+  expect(closestPhpVersion('8.6')).toBe('8.5');
+  expect(closestPhpVersion(' 8.2 ')).toBe('8.2');
+  expect(closestPhpVersion(undefined)).toBe(DEFAULT_PHP_VERSION);
+  expect(closestPhpVersion('latest')).toBe(DEFAULT_PHP_VERSION);
+});
@@ -0,0 +1,79 @@
+// Scratch snippets of the playground. The list keeps each snippet's starting
+// files and settings; edits and run history are saved like any runner's,
+// under playgroundKey(id).
+import { normalizeFiles, resolveEntry } from "./phpFiles";
+import { clearRunnerStorage } from "./runnerStorage";
+
+const SNIPPETS_KEY = "php-notes:snippets";
+
+export const BLANK_FILES = [{ name: "index.php", code: '<?php\n\necho "Hello from the playground!";\n' }];
+
+export function playgroundKey(id) {
+  return `playground/${id}`;
+}
+
+export function loadSnippets() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SNIPPETS_KEY));
+    return Array.isArray(saved) ? saved.filter((snippet) => snippet && snippet.id && Array.isArray(snippet.files)) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveSnippets(snippets) {
+  try {
+    window.localStorage.setItem(SNIPPETS_KEY, JSON.stringify(snippets));
+  } catch (e) {
+    console.warn("Failed to save playground snippets:", e);
+  }
+}
+
+export function createSnippet({
+  name,
+  files = BLANK_FILES,
+  entry,
+  request,
+  outputMode,
+  phpVersion,
+  ini,
+  extensions,
+  database,
+  stateful,
+  browser,
+} = {}) {
+  const normalized = normalizeFiles(files);
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name || "Scratch",
+    created: Date.now(),
+    files: normalized,
+    entry: resolveEntry(normalized, entry),
+    request,
+    outputMode,
+    phpVersion,
+    ini,
+    extensions,
+    database,
+    stateful,
+    browser,
+  };
+}
+
+// Adds a snippet to the saved list and returns it.
+export function addSnippet(snippet) {
+  saveSnippets([...loadSnippets(), snippet]);
+  return snippet;
+}
+
+export function deleteSnippetData(id) {
+  clearRunnerStorage(playgroundKey(id));
+}
+
+// "Scratch 3" when "Scratch 1" and "Scratch 2" are taken.
+export function nextScratchName(snippets) {
+  const names = new Set(snippets.map((snippet) => snippet.name));
+  let n = 1;
+  while (names.has(`Scratch ${n}`)) n += 1;
+  return `Scratch ${n}`;
+}
@@ -0,0 +1,19 @@
+import { addSnippet, createSnippet, deleteSnippetData, loadSnippets, nextScratchName, playgroundKey } from './playgroundStorage';
+
+afterEach(() => window.localStorage.clear());
+
+test('keeps scratch snippets in localStorage', () => {
+  const snippet = addSnippet(createSnippet({ name: 'Loops — example 1', files: { 'main.php': '<?php echo 1;' } }));
+  expect(snippet).toMatchObject({ files: [{ name: 'main.php', code: '<?php echo 1;' }], entry: 'main.php' });
+  expect(loadSnippets()).toEqual([snippet]);
+
+  window.localStorage.setItem(`php-notes:runner:${playgroundKey(snippet.id)}`, '{}');
+  window.localStorage.setItem(`php-notes:history:${playgroundKey(snippet.id)}`, '[]');
+  deleteSnippetData(snippet.id);
+  expect(window.localStorage.length).toBe(1);
+});
+
+test('numbers new scratch snippets after the existing ones', () => {
+  expect(nextScratchName([])).toBe('Scratch 1');
+  expect(nextScratchName([{ name: 'Scratch 1' }, { name: 'Scratch 3' }])).toBe('Scratch 2');
+});
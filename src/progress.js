@@ -0,0 +1,79 @@
+// Reading progress: which sections have been read and which exercises have
+// been passed, kept in one localStorage entry. Exercises are identified by
+// their runner's storage key (see exampleKey()).
+import { lessonExamples } from "./lessonMarkdown";
+import { exampleKey } from "./runnerStorage";
+
+const PROGRESS_KEY = "php-notes:progress";
+
+export const EMPTY_PROGRESS = { read: {}, exercises: {} };
+
+export function loadProgress() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PROGRESS_KEY));
+    if (!saved || typeof saved !== "object") return EMPTY_PROGRESS;
+    return { read: saved.read || {}, exercises: saved.exercises || {} };
+  } catch (e) {
+    return EMPTY_PROGRESS;
+  }
+}
+
+export function saveProgress(progress) {
+  try {
+    if (Object.keys(progress.read).length === 0 && Object.keys(progress.exercises).length === 0) {
+      window.localStorage.removeItem(PROGRESS_KEY);
+    } else {
+      window.localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+    }
+  } catch (e) {
+    console.warn("Failed to save progress:", e);
+  }
+}
+
+// Both return the same object when nothing changes, so state setters can
+// skip the re-render.
+export function setRead(progress, sectionId, read = true) {
+  if (Boolean(progress.read[sectionId]) === read) return progress;
+  const next = { ...progress.read };
+  if (read) next[sectionId] = true;
+  else delete next[sectionId];
+  return { ...progress, read: next };
+}
+
+export function markExercisePassed(progress, key) {
+  if (progress.exercises[key]) return progress;
+  return { ...progress, exercises: { ...progress.exercises, [key]: true } };
+}
+
+// Storage keys of a section's exercise runners, numbered like MarkdownContent
+// numbers its runners.
+export function exerciseKeys(section) {
+  return lessonExamples(section.body)
+    .map((example, index) => (example.exercise ? exampleKey(section.id, index) : null))
+    .filter(Boolean);
+}
+
+export function sectionProgress(progress, section) {
+  const keys = exerciseKeys(section);
+  const read = Boolean(progress.read[section.id]);
+  const passed = keys.filter((key) => progress.exercises[key]).length;
+  return {
+    read,
+    passed,
+    exercises: keys.length,
+    complete: read && passed === keys.length,
+  };
+}
+
+// Takes the sectionProgress() of every section. Reading a section and passing
+// an exercise count one step each.
+export function overallProgress(sectionStats) {
+  const totals = sectionStats.reduce(
+    (sum, item) => ({
+      done: sum.done + (item.read ? 1 : 0) + item.passed,
+      total: sum.total + 1 + item.exercises,
+    }),
+    { done: 0, total: 0 }
+  );
+  return { ...totals, percent: totals.total ? Math.round((totals.done / totals.total) * 100) : 0 };
+}
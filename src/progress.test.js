@@ -0,0 +1,44 @@
+import {
+  EMPTY_PROGRESS,
+  exerciseKeys,
+  loadProgress,
+  markExercisePassed,
+  overallProgress,
+  saveProgress,
+  sectionProgress,
+  setRead,
+} from './progress';
+
+const section = {
+  id: 'Loops',
+  body: ['```php', '<?php echo 1;', '```', '```php exercise', '<?php', '```', '```php exercise', '<?php', '```'].join('\n'),
+};
+
+afterEach(() => window.localStorage.clear());
+
+test('numbers exercises by their position among all runners of the section', () => {
+  expect(exerciseKeys(section)).toEqual(['Loops/1', 'Loops/2']);
+});
+
+test('a section is complete once it is read and all its exercises pass', () => {
+  let progress = markExercisePassed(EMPTY_PROGRESS, 'Loops/1');
+  expect(sectionProgress(progress, section)).toEqual({ read: false, passed: 1, exercises: 2, complete: false });
+
+  progress = setRead(markExercisePassed(progress, 'Loops/2'), 'Loops');
+  expect(sectionProgress(progress, section).complete).toBe(true);
+  expect(setRead(progress, 'Loops')).toBe(progress);
+  expect(setRead(progress, 'Loops', false).read).toEqual({});
+
+  const other = sectionProgress(progress, { id: 'Intro', body: 'Text only.' });
+  expect(overallProgress([sectionProgress(progress, section), other])).toEqual({ done: 3, total: 4, percent: 75 });
+});
+
+test('saves progress in localStorage and removes it once empty', () => {
+  const progress = setRead(EMPTY_PROGRESS, 'Intro');
+  saveProgress(progress);
+  expect(loadProgress()).toEqual(progress);
+
+  saveProgress(EMPTY_PROGRESS);
+  expect(window.localStorage.getItem('php-notes:progress')).toBeNull();
+  expect(loadProgress()).toEqual(EMPTY_PROGRESS);
+});
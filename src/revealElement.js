@@ -0,0 +1,18 @@
+// Scrolls an element of a lesson into view and flashes it so the reader sees
+// what they jumped to.
+const FLASH_CLASSES = ["ring-2", "ring-yellow-400", "bg-yellow-50", "rounded-md"];
+const FLASH_MS = 2000;
+
+export function revealElement(element) {
+  if (!element) return;
+  if (element.scrollIntoView) element.scrollIntoView({ behavior: "smooth", block: "center" });
+  element.classList.add(...FLASH_CLASSES);
+  setTimeout(() => element.classList.remove(...FLASH_CLASSES), FLASH_MS);
+}
+
+// A block of a rendered lesson, by its position in parseLesson().
+export function lessonBlock(sectionId, block) {
+  const section = document.getElementById(sectionId);
+  if (!section || block === null || block === undefined) return section;
+  return section.querySelector(`[data-block="${block}"]`);
+}
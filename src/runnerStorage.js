@@ -0,0 +1,96 @@
+// Saved runner edits and run history, one localStorage entry each per example.
+// The original files are stored alongside the edits so a saved copy is dropped
+// once the example itself changes in the notes.
+
+const KEY_PREFIX = "php-notes:runner:";
+
+export function exampleKey(sectionId, index) {
+  return `${sectionId}/${index}`;
+}
+
+function sameFiles(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function loadSavedFiles(key, original) {
+  if (!key) return null;
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(KEY_PREFIX + key));
+    if (!saved || !Array.isArray(saved.files) || !sameFiles(saved.original, original)) return null;
+    return saved.files;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Stores `files` when they differ from the original, otherwise removes the
+// saved copy.
+export function saveFiles(key, original, files) {
+  if (!key) return;
+  try {
+    if (sameFiles(files, original)) {
+      window.localStorage.removeItem(KEY_PREFIX + key);
+    } else {
+      window.localStorage.setItem(KEY_PREFIX + key, JSON.stringify({ original, files }));
+    }
+  } catch (e) {
+    console.warn("Failed to save runner code:", e);
+  }
+}
+
+export function isModified(original, files) {
+  return !sameFiles(files, original);
+}
+
+const HISTORY_PREFIX = "php-notes:history:";
+export const MAX_SNAPSHOTS = 20;
+// Long outputs are cut so a busy example cannot fill up localStorage.
+const MAX_SNAPSHOT_OUTPUT = 4000;
+
+export function createSnapshot(files, { output = "", status }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    time: Date.now(),
+    files,
+    output: output.length > MAX_SNAPSHOT_OUTPUT ? `${output.slice(0, MAX_SNAPSHOT_OUTPUT)}\n…` : output,
+    status,
+  };
+}
+
+// Newest first, capped at MAX_SNAPSHOTS.
+export function addSnapshot(history, snapshot) {
+  return [snapshot, ...history].slice(0, MAX_SNAPSHOTS);
+}
+
+export function loadHistory(key) {
+  if (!key) return [];
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(HISTORY_PREFIX + key));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveHistory(key, history) {
+  if (!key) return;
+  try {
+    if (history.length === 0) {
+      window.localStorage.removeItem(HISTORY_PREFIX + key);
+    } else {
+      window.localStorage.setItem(HISTORY_PREFIX + key, JSON.stringify(history));
+    }
+  } catch (e) {
+    console.warn("Failed to save runner history:", e);
+  }
+}
+
+// Forgets the saved edits and run history of a runner.
+export function clearRunnerStorage(key) {
+  try {
+    window.localStorage.removeItem(KEY_PREFIX + key);
+    window.localStorage.removeItem(HISTORY_PREFIX + key);
+  } catch (e) {
+    console.warn("Failed to clear runner storage:", e);
+  }
+}
@@ -0,0 +1,50 @@
+// Inline styles shared by the runner's panels.
+
+export const preStyle = {
+  whiteSpace: "pre-wrap",
+  fontFamily: "ui-monospace, monospace",
+  fontSize: 13,
+  margin: 0,
+};
+
+// Output shown inside a panel: history snapshots, expected output, version
+// comparisons.
+export const boxedPreStyle = {
+  ...preStyle,
+  fontSize: 12,
+  background: "white",
+  border: "1px solid #e5e7eb",
+  borderRadius: 6,
+  padding: 8,
+};
+
+// Fields in the request and environment panels.
+export const labelStyle = { display: "grid", gap: 2, fontSize: 12, color: "#374151" };
+
+export const inputStyle = {
+  fontFamily: "ui-monospace, monospace",
+  fontSize: 12,
+  padding: "4px 6px",
+  borderRadius: 6,
+  border: "1px solid #e5e7eb",
+  background: "white",
+};
+
+export const smallButtonStyle = {
+  padding: "2px 8px",
+  borderRadius: 6,
+  border: "1px solid #e5e7eb",
+  background: "white",
+  fontSize: 12,
+  cursor: "pointer",
+};
+
+// Buttons that look like the text around them, such as file names.
+export const plainButtonStyle = {
+  border: "none",
+  background: "transparent",
+  padding: 0,
+  font: "inherit",
+  color: "inherit",
+  cursor: "pointer",
+};
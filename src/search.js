@@ -0,0 +1,89 @@
+// Full-text search over the lessons: titles, summaries, prose and the code of
+// every runner. Entries point at a block of the lesson by its position in
+// parseLesson(), the same position MarkdownContent renders it at.
+import { marked } from "marked";
+import { decodeEntities, parseLesson } from "./lessonMarkdown";
+import { normalizeFiles } from "./phpFiles";
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 120;
+// Title hits first, then prose, then code.
+const KIND_RANK = { title: 0, text: 1, code: 2 };
+
+function plainText(block) {
+  const parts = [];
+  marked.walkTokens([block], (token) => {
+    if (!token.tokens && ["text", "codespan", "escape"].includes(token.type)) {
+      parts.push(decodeEntities(token.text));
+    }
+  });
+  return parts.join(" ").replace(/\s+/g, " ").trim();
+}
+
+export function buildSearchIndex(sections) {
+  const entries = [];
+  sections.forEach((section) => {
+    const base = { sectionId: section.id, sectionTitle: section.title };
+    entries.push({ ...base, kind: "title", block: null, text: `${section.title} — ${section.summary}` });
+
+    parseLesson(section.body).forEach((block, index) => {
+      if (block.type === "runner") {
+        const code = normalizeFiles(block.files, block.code)
+          .map((file) => file.code)
+          .join("\n");
+        entries.push({ ...base, kind: "code", block: index, text: code });
+      } else if (block.type === "code") {
+        entries.push({ ...base, kind: "code", block: index, text: block.text });
+      } else {
+        const text = plainText(block);
+        if (text) entries.push({ ...base, kind: "text", block: index, text });
+      }
+    });
+  });
+  return entries;
+}
+
+export function searchTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Splits `text` into `{ text, match }` parts, marking every occurrence of the
+// terms.
+export function highlight(text, terms) {
+  if (terms.length === 0) return [{ text, match: false }];
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const pattern = new RegExp(`(${escaped.join("|")})`, "gi");
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+// A window of the text around the first hit, on a single line.
+function snippetOf(text, terms) {
+  const flat = text.replace(/\s+/g, " ");
+  const lower = flat.toLowerCase();
+  const first = Math.min(...terms.map((term) => lower.indexOf(term)));
+  const start = Math.max(0, first - SNIPPET_BEFORE);
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  return (start > 0 ? "…" : "") + flat.slice(start, end).trim() + (end < flat.length ? "…" : "");
+}
+
+// Entries that contain every term of the query, best first. Each result has
+// a `snippet` split into highlighted parts.
+export function search(index, query) {
+  const terms = searchTerms(query);
+  if (terms.length === 0) return [];
+
+  return index
+    .map((entry, order) => ({ entry, order }))
+    .filter(({ entry }) => {
+      const lower = entry.text.toLowerCase();
+      return terms.every((term) => lower.includes(term));
+    })
+    .sort((a, b) => KIND_RANK[a.entry.kind] - KIND_RANK[b.entry.kind] || a.order - b.order)
+    .map(({ entry }) => ({ ...entry, snippet: highlight(snippetOf(entry.text, terms), terms) }));
+}
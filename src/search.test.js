@@ -0,0 +1,48 @@
+import { buildSearchIndex, highlight, search } from './search';
+
+const sections = [
+  {
+    id: 'Loops',
+    title: 'Loops',
+    summary: 'while and foreach',
+    body: ['Use **foreach** to walk an array.', '', '```php', '<?php', 'foreach ($items as $item) {}', '```'].join('\n'),
+  },
+  { id: 'Arrays', title: 'Arrays', summary: 'Lists and maps', body: 'Build lists with `array_map()` &amp; friends.' },
+];
+
+test('indexes titles, prose and runner code by block', () => {
+  expect(buildSearchIndex(sections)).toEqual([
+    { sectionId: 'Loops', sectionTitle: 'Loops', kind: 'title', block: null, text: 'Loops — while and foreach' },
+    { sectionId: 'Loops', sectionTitle: 'Loops', kind: 'text', block: 0, text: 'Use foreach to walk an array.' },
+    { sectionId: 'Loops', sectionTitle: 'Loops', kind: 'code', block: 1, text: '<?php\nforeach ($items as $item) {}' },
+    { sectionId: 'Arrays', sectionTitle: 'Arrays', kind: 'title', block: null, text: 'Arrays — Lists and maps' },
+    { sectionId: 'Arrays', sectionTitle: 'Arrays', kind: 'text', block: 0, text: 'Build lists with array_map() & friends.' },
+  ]);
+});
+
+test('finds entries with every term, titles first, with highlighted snippets', () => {
+  const index = buildSearchIndex(sections);
+
+  expect(search(index, 'FOREACH').map((result) => [result.sectionId, result.kind])).toEqual([
+    ['Loops', 'title'],
+    ['Loops', 'text'],
+    ['Loops', 'code'],
+  ]);
+  expect(search(index, 'array walk').map((result) => result.block)).toEqual([0]);
+  expect(search(index, 'array_map')[0].snippet).toEqual([
+    { text: 'Build lists with ', match: false },
+    { text: 'array_map', match: true },
+    { text: '() & friends.', match: false },
+  ]);
+  expect(search(index, '  ')).toEqual([]);
+});
+
+test('highlights every occurrence regardless of case', () => {
+  expect(highlight('Echo, echo (1+1)', ['echo', '(1+1)'])).toEqual([
+    { text: 'Echo', match: true },
+    { text: ', ', match: false },
+    { text: 'echo', match: true },
+    { text: ' ', match: false },
+    { text: '(1+1)', match: true },
+  ]);
+});
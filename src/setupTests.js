@@ -3,3 +3,18 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The real worker factory uses `import.meta`, which Jest cannot load; every
+// test gets the stub engine from src/__mocks__/createPhpWorker.js instead.
+jest.mock('./createPhpWorker');
+
+// CodeMirror measures text through ranges, which jsdom does not lay out.
+// (Suites running in the node environment have no document at all.)
+if (typeof document !== 'undefined') {
+  document.createRange = () => {
+    const range = new Range();
+    range.getBoundingClientRect = () => ({ top: 0, bottom: 0, left: 0, right: 0, width: 0, height: 0 });
+    range.getClientRects = () => ({ length: 0, item: () => null, [Symbol.iterator]: [][Symbol.iterator] });
+    return range;
+  };
+}
@@ -0,0 +1,82 @@
+// Share links carry a runner's files, request and settings in the URL hash,
+// compressed with lz-string, so sharing needs no server. The hash looks like
+// `#share/<data>` (see hashRoute.js).
+import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from "lz-string";
+import { OUTPUT_MODES } from "./outputMode";
+import { normalizeDatabase } from "./phpDatabase";
+import { normalizeExtensions, normalizeIni } from "./phpEnvironment";
+import { resolveEntry } from "./phpFiles";
+import { DEFAULT_REQUEST, normalizeRequest } from "./phpRequest";
+import { closestPhpVersion, DEFAULT_PHP_VERSION } from "./phpVersions";
+
+const SHARE_VERSION = 1;
+
+// Only the parts of the request that differ from a plain GET are kept, to
+// keep the link short.
+function requestDelta(request) {
+  const normalized = normalizeRequest(request);
+  const delta = Object.fromEntries(
+    Object.entries(normalized).filter(([key, value]) => value !== DEFAULT_REQUEST[key])
+  );
+  return Object.keys(delta).length ? delta : undefined;
+}
+
+// `snippet` is `{ files, entry, request, outputMode, phpVersion, ini, extensions, database, stateful, browser }`.
+export function encodeShare({
+  files,
+  entry,
+  request,
+  outputMode,
+  phpVersion,
+  ini,
+  extensions,
+  database,
+  stateful,
+  browser,
+}) {
+  const loaded = normalizeExtensions(extensions);
+  const payload = {
+    v: SHARE_VERSION,
+    files: files.map((file) => [file.name, file.code]),
+    entry: resolveEntry(files, entry),
+    request: requestDelta(request),
+    outputMode: outputMode && outputMode !== "auto" ? outputMode : undefined,
+    php: phpVersion && phpVersion !== DEFAULT_PHP_VERSION ? phpVersion : undefined,
+    ini: normalizeIni(ini) || undefined,
+    ext: loaded.length ? loaded : undefined,
+    db: normalizeDatabase(database) || undefined,
+    stateful: stateful ? 1 : undefined,
+    browser: browser ? 1 : undefined,
+  };
+  return compressToEncodedURIComponent(JSON.stringify(payload));
+}
+
+// Returns null for links that are cut off or were not made by encodeShare().
+export function decodeShare(data) {
+  try {
+    const payload = JSON.parse(decompressFromEncodedURIComponent(String(data || "")));
+    if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.files) || payload.files.length === 0) {
+      return null;
+    }
+    const files = payload.files.map(([name, code]) => ({ name: String(name), code: String(code) }));
+    return {
+      files,
+      entry: resolveEntry(files, payload.entry),
+      request: payload.request ? normalizeRequest(payload.request) : undefined,
+      outputMode: OUTPUT_MODES.includes(payload.outputMode) ? payload.outputMode : "auto",
+      phpVersion: closestPhpVersion(payload.php),
+      ini: typeof payload.ini === "string" ? payload.ini : undefined,
+      extensions: Array.isArray(payload.ext) ? normalizeExtensions(payload.ext) : undefined,
+      database: normalizeDatabase(payload.db) || undefined,
+      stateful: payload.stateful ? true : undefined,
+      browser: payload.browser ? true : undefined,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+export function shareUrl(snippet) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#share/${encodeShare(snippet)}`;
+}
@@ -0,0 +1,52 @@
+import { decodeShare, encodeShare, shareUrl } from './shareLink';
+
+test('round-trips files, request and settings', () => {
+  const snippet = {
+    files: [
+      { name: 'index.php', code: "<?php\nrequire 'lib.php';\necho greet($_POST['name']);" },
+      { name: 'lib.php', code: '<?php function greet($n) { return "Hi $n"; }' },
+    ],
+    entry: 'index.php',
+    request: { method: 'POST', body: 'name=Ann & co' },
+    outputMode: 'text',
+    phpVersion: '8.1',
+    ini: 'display_errors = 1',
+    extensions: ['mbstring'],
+    database: { schema: 'CREATE TABLE t (a);', fixtures: '' },
+    stateful: true,
+    browser: true,
+  };
+
+  expect(decodeShare(encodeShare(snippet))).toEqual({
+    files: snippet.files,
+    entry: 'index.php',
+    request: { method: 'POST', query: '', body: 'name=Ann & co', headers: '', cookies: '' },
+    outputMode: 'text',
+    phpVersion: '8.1',
+    ini: 'display_errors = 1',
+    extensions: ['mbstring'],
+    database: { schema: 'CREATE TABLE t (a);', fixtures: '' },
+    stateful: true,
+    browser: true,
+  });
+});
+
+test('leaves defaults out and produces URL-safe data', () => {
+  const data = encodeShare({ files: [{ name: 'index.php', code: '<?php echo "a/b?c#d";' }], request: { method: 'GET' } });
+  expect(data).toMatch(/^[A-Za-z0-9+$-]+$/);
+  expect(decodeShare(data)).toEqual({
+    files: [{ name: 'index.php', code: '<?php echo "a/b?c#d";' }],
+    entry: 'index.php',
+    request: undefined,
+    outputMode: 'auto',
+    phpVersion: '8.3',
+  });
+  expect(shareUrl({ files: [{ name: 'index.php', code: '' }] })).toMatch(/^http:\/\/localhost\/#share\/[A-Za-z0-9+$-]+$/);
+});
+
+test('rejects damaged links', () => {
+  const data = encodeShare({ files: [{ name: 'index.php', code: '<?php echo 1;' }] });
+  expect(decodeShare(data.slice(0, -4))).toBeNull();
+  expect(decodeShare('')).toBeNull();
+  expect(decodeShare('not-a-share')).toBeNull();
+});